@@ -6,6 +6,7 @@
  * Heartbeat: https://superteam.fun/heartbeat.md
  */
 const axios = require('axios');
+const { listModels } = require('../services/model-registry');
 
 const SUPERTEAM_API = 'https://superteam.fun/api/agents';
 const SUPERTEAM_BASE = 'https://superteam.fun';
@@ -390,8 +391,10 @@ class SuperteamEarnAgent {
       '',
     ];
 
+    const models = listModels().filter(m => m.showcase);
+
     if (matchedCategories.includes('image')) {
-      parts.push('🎨 **Image Generation**: Free AI image generation with 3 models (Google Nano Banana, ByteDance Seedream 4.5, xAI Grok Imagine). Any aspect ratio, reference image support.');
+      parts.push(`🎨 **Image Generation**: Free AI image generation with ${models.length} models (${models.map(m => m.name).join(', ')}). Any aspect ratio, reference image support.`);
     }
     if (matchedCategories.includes('video')) {
       parts.push('🎬 **Video Generation**: 10-second AI video clips via Grok Video. Free for all users.');
@@ -470,7 +473,7 @@ class SuperteamEarnAgent {
         // Also leave an introductory comment
         await this.postComment({
           refId: listing.id,
-          message: `Hey! We're Xona Agent — an autonomous creative AI agent on Solana. We offer free image generation (3 models), video generation, and PumpFun token intelligence. Our API is free and open for all agents. Let us know if you need anything! 🚀`,
+          message: `Hey! We're Xona Agent — an autonomous creative AI agent on Solana. We offer free image generation (${listModels().filter(m => m.showcase).length} models), video generation, and PumpFun token intelligence. Our API is free and open for all agents. Let us know if you need anything! 🚀`,
           pocId: listing.pocId || undefined,
         });
       }
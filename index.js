@@ -19,6 +19,7 @@ const { createServer } = require('./server');
 const { ColosseumAgent } = require('./agent/colosseum');
 const { SuperteamEarnAgent } = require('./agent/superteam');
 const { startCron, stopCron } = require('./services/daily-news');
+const { resumePendingVideos } = require('./services/video-gen');
 
 const PORT = process.env.PORT || 3002;
 
@@ -86,6 +87,7 @@ async function main() {
     console.log('   Free Endpoints:');
     console.log(`   - POST http://localhost:${PORT}/generate-image`);
     console.log(`   - POST http://localhost:${PORT}/generate-video`);
+    console.log(`   - GET  http://localhost:${PORT}/jobs/:id`);
     console.log(`   - GET  http://localhost:${PORT}/pumpfun/trending`);
     console.log(`   - GET  http://localhost:${PORT}/pumpfun/movers`);
     console.log(`   - GET  http://localhost:${PORT}/solana/trending-topics`);
@@ -108,6 +110,11 @@ async function main() {
     console.log('');
   });
 
+  // Finish any video generations interrupted by the last restart
+  if (process.env.XAI_API_KEY) {
+    resumePendingVideos();
+  }
+
   // ==========================================
   // 4. Start Autonomous Forum Posting Cron
   // ==========================================
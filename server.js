@@ -4,21 +4,42 @@
  * + Test/trigger endpoints for autonomous forum posting pipelines
  * + Superteam Earn heartbeat, listing discovery, and submission triggers
  * 
- * All endpoints are free — no auth, no payment.
+ * All endpoints are free — no auth, no payment. Only the leaderboard
+ * triggers, which pay for matches and judging, need TRIGGER_SECRET.
  */
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const cookieParser = require('cookie-parser');
+const multer = require('multer');
 
 // Services
-const { generateImage, getModels } = require('./services/image-gen');
-const { generateVideo } = require('./services/video-gen');
+const {
+  generateImage, validateImageRequest, editImage, validateEditRequest, upscaleImage, validateUpscaleRequest,
+  removeBackground, validateRemoveBackgroundRequest, getModels, getEditModels, getImageTools
+} = require('./services/image-gen');
+const { getModelKeys, getEditModelKeys } = require('./services/model-registry');
+const { generateVideo, validateVideoRequest, getVideoModels, VIDEO_CAPABILITIES } = require('./services/video-gen');
+const { MAX_CAPTIONS_LENGTH } = require('./services/video-processing');
+const { compareImages, validateCompareRequest } = require('./services/image-compare');
+const { generateStoryboard, validateStoryboardRequest } = require('./services/storyboard');
+const { animate, validateAnimateRequest } = require('./services/animate');
+const { submitJob, getJob, cancelJob, getJobStats } = require('./services/jobs');
+const { moderatePrompt, logRejection } = require('./services/moderation');
+const { storeInputImage, MAX_INPUT_BYTES } = require('./services/media-input');
+const { listPresets, renderPreset } = require('./services/presets');
 const { getTrending, getMovers } = require('./services/pumpfun');
-const { callGrokApi, buildTrendingSystemInstruction, parseJsonFromResponse } = require('./services/grok');
+const { generateTokenArt, TOKEN_ART_VARIANTS } = require('./services/token-art');
+const { buildTrendingSystemInstruction } = require('./services/grok');
+const { callLlmStructured } = require('./services/llm');
+const { getLeaderboard } = require('./services/leaderboard');
+const { getProvenance } = require('./services/provenance');
+const { getProviderHealth } = require('./services/provider-health');
+const { getPrediction, cancelPrediction, verifyWebhook, handleWebhook } = require('./services/replicate-predictions');
 const {
-  runXNewsPost, runImageShowcase, runPumpFunPost,
-  previewXNews, previewImageShowcase, previewPumpFun,
-  X_NEWS_ACCOUNTS, IMAGE_MODELS
+  runXNewsPost, runImageShowcase, runPumpFunPost, runLeaderboardPost, runLeaderboardMatch,
+  previewXNews, previewImageShowcase, previewPumpFun, previewLeaderboardPost,
+  X_NEWS_ACCOUNTS, IMAGE_MODELS, SHOWCASE_VARIANTS
 } = require('./services/daily-news');
 
 /**
@@ -29,11 +50,163 @@ const {
 function createServer(agent = null, superteamAgent = null) {
   const app = express();
 
+  // Only as many X-Forwarded-For hops as there are proxies in front of us are
+  // trusted, so req.ip is the real caller and can't be set by the caller
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS) || 0);
+
   // Middleware
   app.use(cors());
-  app.use(express.json({ limit: '10mb' }));
+  app.use(express.json({
+    limit: '10mb',
+    // Provider webhooks are signed over the exact bytes sent
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith('/webhooks/')) req.rawBody = buf.toString('utf8');
+    }
+  }));
   app.use(cookieParser());
 
+  /**
+   * Accept optional multipart image files (kept in memory, size-capped),
+   * one per named field. JSON requests pass straight through.
+   */
+  const imageUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_INPUT_BYTES } });
+  function acceptImageFiles(...fields) {
+    const handler = imageUpload.fields(fields.map(name => ({ name, maxCount: 1 })));
+    return (req, res, next) => handler(req, res, (error) => {
+      if (error) {
+        return res.status(400).json({ success: false, message: `Invalid upload${error.field ? ` (${error.field})` : ''}: ${error.message}` });
+      }
+      return next();
+    });
+  }
+
+  /**
+   * Resolve an image field: a multipart file upload (stored under inputs/)
+   * wins over a URL / data: URI in the body
+   */
+  async function imageField(req, field, bodyField = field) {
+    const file = req.files?.[field]?.[0];
+    if (file) return storeInputImage(file.buffer, file.mimetype);
+    return req.body[bodyField] || null;
+  }
+
+  /**
+   * Expand `preset` + `variables` into prompt, model, aspectRatio and referenceImage.
+   * Runs before moderation so the rendered prompt is what gets checked;
+   * explicit body fields override the preset's defaults.
+   */
+  function applyPreset(req, res, next) {
+    const { preset } = req.body;
+    if (!preset) return next();
+
+    if (req.body.prompt) {
+      return res.status(400).json({ success: false, message: 'Pass either prompt or preset, not both' });
+    }
+
+    let variables = req.body.variables || {};
+    if (typeof variables === 'string') {
+      // Multipart bodies carry variables as a JSON string
+      try {
+        variables = JSON.parse(variables);
+      } catch (error) {
+        return res.status(400).json({ success: false, message: 'variables must be a JSON object' });
+      }
+    }
+
+    try {
+      const rendered = renderPreset(preset, variables);
+
+      // The preset's ratio and reference are tuned for its own model; an overridden model uses its defaults
+      const presetModel = !req.body.model || req.body.model === rendered.model;
+      req.body.prompt = rendered.prompt;
+      req.body.model = req.body.model || rendered.model;
+      req.body.aspectRatio = req.body.aspectRatio || (presetModel ? rendered.aspectRatio : null);
+      req.body.referenceImage = req.body.referenceImage || (presetModel ? rendered.referenceImage : null);
+      return next();
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+  }
+
+  /**
+   * Multipart fields arrive as strings — treat "true" like true
+   */
+  function isTrue(value) {
+    return value === true || value === 'true';
+  }
+
+  function isFalse(value) {
+    return value === false || value === 'false';
+  }
+
+  /**
+   * Optional numeric field — multipart sends "42"; non-numbers become NaN and fail validation
+   */
+  function numberField(value) {
+    return value === undefined || value === null || value === '' ? undefined : Number(value);
+  }
+
+  /**
+   * Identify the caller for moderation logs (req.ip honours TRUST_PROXY_HOPS)
+   */
+  function getClientIdentity(req) {
+    return {
+      ip: req.ip || 'unknown',
+      userAgent: req.headers['user-agent'] || null
+    };
+  }
+
+  /**
+   * Longest text any generation endpoint accepts (prompts, scripts, captions)
+   */
+  function maxModeratedLength() {
+    return Math.max(...getModels().map(model => model.maxPromptLength), VIDEO_CAPABILITIES.maxPromptLength, MAX_CAPTIONS_LENGTH);
+  }
+
+  /**
+   * Reject prompts that violate the content policy (422) before any provider call
+   */
+  async function moderationGate(req, res, next) {
+    // Motion prompts and burned-in captions are published too, so they get the same check
+    const fields = ['prompt', 'script', 'motionPrompt', 'captions']
+      .filter(field => req.body?.[field] && typeof req.body[field] === 'string');
+
+    // Oversized text would be rejected later anyway; stop it before the policy regexes run on it
+    const maxLength = maxModeratedLength();
+    const oversized = fields.find(field => req.body[field].length > maxLength);
+    if (oversized) {
+      return res.status(400).json({ success: false, message: `${oversized} must be ${maxLength} characters or less` });
+    }
+
+    // Each field is checked on its own so a harmless prompt can't carry a disallowed script past the gate
+    try {
+      for (const field of fields) {
+        const text = req.body[field];
+        const verdict = await moderatePrompt(text);
+        if (verdict.allowed) continue;
+
+        logRejection({
+          endpoint: req.path,
+          category: verdict.category,
+          reason: verdict.reason,
+          source: verdict.source,
+          client: getClientIdentity(req),
+          prompt: `${field}: ${text.substring(0, 500)}`
+        });
+
+        return res.status(422).json({
+          success: false,
+          message: 'Prompt rejected by content policy',
+          category: verdict.category,
+          reason: verdict.reason
+        });
+      }
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  }
+
   // ==========================================
   // Health & Info
   // ==========================================
@@ -48,19 +221,37 @@ function createServer(agent = null, superteamAgent = null) {
         superteam_earn: superteamAgent ? 'connected' : 'not configured',
       },
       endpoints: {
-        'POST /generate-image': 'Generate AI images (nano-banana, seedream, grok-imagine)',
-        'POST /generate-video': 'Generate 10-second AI videos (Grok Video)',
-        'GET /models': 'List available image generation models',
+        'POST /generate-image': `Generate AI images (${getModelKeys().join(', ')})`,
+        'POST /edit-image': `Edit an image from an instruction, optionally with a mask (${getEditModelKeys().join(', ')})`,
+        'POST /upscale-image': 'Upscale an image (ours or external), with lineage to the source',
+        'POST /remove-background': 'Cut out the subject onto a transparent PNG, with lineage to the source',
+        'POST /generate-video': 'Generate AI videos up to 15 seconds (Grok Video) with poster, preview and optional captions',
+        'POST /animate': 'Text → keyframe image → video in one call (any image model or preset)',
+        'POST /generate-storyboard': 'Turn a script into a 10-60 second multi-scene video, stitched into one MP4',
+        'POST /compare-images': 'Run one prompt across every image model, with a side-by-side grid',
+        'GET /models': 'List image, edit and video models and image tools with their capabilities',
+        'GET /presets': 'Named style presets (prompt templates) for /generate-image',
+        'GET /provenance/:cdnKey': 'Check whether a CDN file was generated by this agent',
+        'GET /models/leaderboard': 'Image model Elo leaderboard from blind head-to-head matches',
+        'GET /jobs/:id': 'Status of an async generation job (submit with "async": true)',
+        'POST /jobs/:id/cancel': 'Cancel a queued or running async job',
+        'GET /predictions/:id': 'Status of a Replicate prediction',
+        'POST /predictions/:id/cancel': 'Cancel a running Replicate prediction (with the id of the job that started it)',
+        'POST /webhooks/replicate': 'Replicate prediction status webhook',
         'GET /pumpfun/trending': 'PumpFun trending tokens with AI analysis',
         'GET /pumpfun/movers': 'PumpFun top movers with AI analysis',
+        'POST /pumpfun/token/:ca/art': `Token art from a PumpFun contract address (${Object.keys(TOKEN_ART_VARIANTS).join(', ')})`,
         'GET /solana/trending-topics': 'Trending Solana topics from X',
         'GET /solana/trending-tokens': 'Trending Solana tokens from X',
         'GET /test/x-news': 'Preview X News forum post (dry-run)',
         'GET /test/image-showcase': 'Preview Image Showcase forum post (dry-run)',
         'GET /test/pumpfun': 'Preview PumpFun Intel forum post (dry-run)',
+        'GET /test/leaderboard': 'Preview weekly Model Leaderboard forum post (dry-run)',
         'POST /trigger/x-news': 'Live trigger X News → post to Colosseum forum',
         'POST /trigger/image-showcase': 'Live trigger Image Showcase → post to Colosseum forum',
         'POST /trigger/pumpfun': 'Live trigger PumpFun Intel → post to Colosseum forum',
+        'POST /trigger/leaderboard-match': 'Run one blind model match and update Elo ratings',
+        'POST /trigger/leaderboard': 'Live trigger weekly Model Leaderboard → post to Colosseum forum',
         'GET /superteam/heartbeat': 'Superteam Earn agent heartbeat (JSON)',
         'GET /superteam/listings': 'Browse agent-eligible Superteam Earn listings',
         'POST /superteam/scan': 'Trigger listing scan & auto-submit',
@@ -68,8 +259,9 @@ function createServer(agent = null, superteamAgent = null) {
       },
       autonomous_schedule: {
         'X News': '02:00, 08:00, 14:00, 20:00 UTC — rotating: ' + X_NEWS_ACCOUNTS.join(', '),
-        'Image Showcase': '05:00, 17:00 UTC — rotating: ' + IMAGE_MODELS.join(', '),
+        'Image Showcase': '05:00, 17:00 UTC — rotating: ' + IMAGE_MODELS.join(', ') + ' — video variant Fridays 19:00 UTC',
         'PumpFun Intel': '03:00, 15:00 UTC — alternating: trending / movers',
+        'Model Leaderboard': 'Matches 09:00, 21:00 UTC — summary post Mondays 12:00 UTC',
         'Superteam Scan': 'Every 2 hours — auto-submit to relevant bounties'
       },
       free: true,
@@ -84,6 +276,8 @@ function createServer(agent = null, superteamAgent = null) {
       uptime: process.uptime(),
       colosseumAgent: agent ? 'connected' : 'not configured',
       superteamAgent: superteamAgent ? 'connected' : 'not configured',
+      jobs: getJobStats(),
+      providers: getProviderHealth(),
     });
   });
 
@@ -91,51 +285,425 @@ function createServer(agent = null, superteamAgent = null) {
   // Image Generation (FREE)
   // ==========================================
 
-  app.post('/generate-image', async (req, res) => {
+  app.post('/generate-image', acceptImageFiles('referenceImage'), applyPreset, moderationGate, async (req, res) => {
     try {
-      const { prompt, model, aspectRatio, referenceImage } = req.body;
+      const { prompt, model, aspectRatio, callbackUrl } = req.body;
 
       if (!prompt) {
-        return res.status(400).json({ success: false, message: 'prompt is required' });
+        return res.status(400).json({ success: false, message: 'prompt or preset is required' });
       }
 
-      const result = await generateImage(prompt, {
+      const options = {
         model: model || 'nano-banana',
-        aspectRatio: aspectRatio || '1:1',
-        referenceImage: referenceImage || null
-      });
+        aspectRatio: aspectRatio || null,
+        referenceImage: await imageField(req, 'referenceImage'),
+        seed: numberField(req.body.seed),
+        negativePrompt: req.body.negativePrompt || undefined,
+        numOutputs: numberField(req.body.numOutputs),
+        outputFormat: req.body.outputFormat || undefined,
+        outputQuality: numberField(req.body.outputQuality),
+        enhance: isTrue(req.body.enhance),
+        client: getClientIdentity(req),
+        watermark: isTrue(req.body.watermark),
+        fallback: !isFalse(req.body.fallback),
+        cache: !isFalse(req.body.cache)
+      };
+
+      if (isTrue(req.body.async)) {
+        validateImageRequest(prompt, options);
+        return submitAsync(res, 'image', { prompt, ...options }, callbackUrl);
+      }
+
+      const result = await generateImage(prompt, options);
 
       return res.json({ success: true, ...result });
     } catch (error) {
       console.error('[API] Image generation error:', error.message);
-      return res.status(500).json({ success: false, message: error.message });
+      return res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+  });
+
+  /**
+   * POST /edit-image
+   * Body: { "prompt": "Change the headline to read \"SOL ATH\"", "image": "https://...", "mask": "https://..." (optional), "model": "flux-fill" (optional) }
+   * image and mask may also be data: URIs or multipart file uploads
+   */
+  app.post('/edit-image', acceptImageFiles('image', 'mask'), moderationGate, async (req, res) => {
+    try {
+      const { prompt, model, callbackUrl } = req.body;
+
+      if (!prompt) {
+        return res.status(400).json({ success: false, message: 'prompt is required' });
+      }
+
+      const options = {
+        image: await imageField(req, 'image'),
+        mask: await imageField(req, 'mask'),
+        watermark: isTrue(req.body.watermark),
+        cache: !isFalse(req.body.cache)
+      };
+      if (model) options.model = model;
+
+      if (!options.image) {
+        return res.status(400).json({ success: false, message: 'image is required' });
+      }
+
+      if (isTrue(req.body.async)) {
+        validateEditRequest(prompt, options);
+        return submitAsync(res, 'edit', { prompt, ...options }, callbackUrl);
+      }
+
+      const result = await editImage(prompt, options);
+
+      return res.json({ success: true, ...result });
+    } catch (error) {
+      console.error('[API] Image edit error:', error.message);
+      return res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+  });
+
+  /**
+   * POST /upscale-image
+   * Body: { "image": "https://...", "scale": 4 (optional) }
+   * image may be one of our CDN URLs, any external URL, a data: URI or a multipart file upload
+   */
+  app.post('/upscale-image', acceptImageFiles('image'), async (req, res) => {
+    try {
+      const { callbackUrl } = req.body;
+
+      const image = await imageField(req, 'image');
+      if (!image) {
+        return res.status(400).json({ success: false, message: 'image is required' });
+      }
+
+      const options = {
+        scale: numberField(req.body.scale),
+        cache: !isFalse(req.body.cache)
+      };
+
+      if (isTrue(req.body.async)) {
+        validateUpscaleRequest(image, options);
+        return submitAsync(res, 'upscale', { image, ...options }, callbackUrl);
+      }
+
+      const result = await upscaleImage(image, options);
+      return res.json({ success: true, ...result });
+    } catch (error) {
+      console.error('[API] Upscale error:', error.message);
+      return res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+  });
+
+  /**
+   * POST /remove-background
+   * Body: { "image": "https://..." }
+   * image may be one of our CDN URLs, any external URL, a data: URI or a multipart file upload
+   */
+  app.post('/remove-background', acceptImageFiles('image'), async (req, res) => {
+    try {
+      const { callbackUrl } = req.body;
+
+      const image = await imageField(req, 'image');
+      if (!image) {
+        return res.status(400).json({ success: false, message: 'image is required' });
+      }
+
+      const options = { cache: !isFalse(req.body.cache) };
+
+      if (isTrue(req.body.async)) {
+        validateRemoveBackgroundRequest(image);
+        return submitAsync(res, 'remove-background', { image, ...options }, callbackUrl);
+      }
+
+      const result = await removeBackground(image, options);
+      return res.json({ success: true, ...result });
+    } catch (error) {
+      console.error('[API] Background removal error:', error.message);
+      return res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+  });
+
+  /**
+   * POST /compare-images
+   * Body: { "prompt": "...", "aspectRatio": "1:1", "models": ["nano-banana", "seedream"] } (models optional)
+   */
+  app.post('/compare-images', moderationGate, async (req, res) => {
+    try {
+      const { prompt, aspectRatio, models, callbackUrl } = req.body;
+
+      if (!prompt) {
+        return res.status(400).json({ success: false, message: 'prompt is required' });
+      }
+
+      const options = {
+        aspectRatio: aspectRatio || null,
+        models: models || undefined,
+        cache: !isFalse(req.body.cache)
+      };
+
+      if (isTrue(req.body.async)) {
+        validateCompareRequest(prompt, options);
+        return submitAsync(res, 'compare', { prompt, ...options }, callbackUrl);
+      }
+
+      const result = await compareImages(prompt, options);
+      return res.json({ success: true, ...result });
+    } catch (error) {
+      console.error('[API] Image comparison error:', error.message);
+      return res.status(error.status || 500).json({ success: false, message: error.message });
     }
   });
 
   app.get('/models', (req, res) => {
-    res.json({ success: true, models: getModels() });
+    res.json({ success: true, models: getModels(), editModels: getEditModels(), videoModels: getVideoModels(), tools: getImageTools() });
+  });
+
+  /**
+   * GET /provenance/:cdnKey
+   * Check whether a CDN file (e.g. generated/abc.png, or its full URL) was produced by this agent
+   */
+  app.get('/provenance/:cdnKey(*)', (req, res) => {
+    try {
+      const provenance = getProvenance(req.params.cdnKey);
+      if (!provenance) {
+        return res.status(404).json({ success: false, authentic: false, message: 'No provenance record — this file was not generated by this agent' });
+      }
+      return res.json({ success: true, authentic: true, provenance });
+    } catch (error) {
+      console.error('[API] Provenance lookup error:', error.message);
+      return res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+  });
+
+  /**
+   * GET /presets
+   * Named style presets usable via "preset" + "variables" on /generate-image
+   */
+  app.get('/presets', (req, res) => {
+    res.json({ success: true, presets: listPresets() });
+  });
+
+  /**
+   * GET /models/leaderboard?recent=20
+   * Elo ratings, match counts and recent matches
+   */
+  app.get('/models/leaderboard', (req, res) => {
+    const recent = Math.min(parseInt(req.query.recent) || 20, 200);
+    res.json({ success: true, ...getLeaderboard({ recent }) });
   });
 
   // ==========================================
   // Video Generation (FREE)
   // ==========================================
 
-  app.post('/generate-video', async (req, res) => {
+  app.post('/generate-video', acceptImageFiles('image'), moderationGate, async (req, res) => {
     try {
-      const { prompt, aspectRatio, imageUrl } = req.body;
+      const { prompt, aspectRatio, callbackUrl } = req.body;
 
       if (!prompt) {
         return res.status(400).json({ success: false, message: 'prompt is required' });
       }
 
-      const result = await generateVideo(prompt, {
+      const options = {
         aspectRatio: aspectRatio || undefined,
-        imageUrl: imageUrl || null
-      });
+        imageUrl: await imageField(req, 'image', 'imageUrl'),
+        duration: numberField(req.body.duration),
+        captions: req.body.captions || undefined,
+        enhance: isTrue(req.body.enhance),
+        client: getClientIdentity(req),
+        cache: !isFalse(req.body.cache)
+      };
+
+      if (isTrue(req.body.async)) {
+        validateVideoRequest(prompt, options);
+        return submitAsync(res, 'video', { prompt, ...options }, callbackUrl);
+      }
+
+      const result = await generateVideo(prompt, options);
 
       return res.json({ success: true, ...result });
     } catch (error) {
       console.error('[API] Video generation error:', error.message);
+      return res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+  });
+
+  /**
+   * POST /animate
+   * Body: { "prompt": "...", "model": "seedream", "motionPrompt": "...", "duration": 10 } (all but prompt/preset optional)
+   * Generates a keyframe with the image model (or preset), then animates it with Grok Video
+   */
+  app.post('/animate', acceptImageFiles('referenceImage'), applyPreset, moderationGate, async (req, res) => {
+    try {
+      const { prompt, model, aspectRatio, callbackUrl } = req.body;
+
+      if (!prompt) {
+        return res.status(400).json({ success: false, message: 'prompt or preset is required' });
+      }
+
+      const options = {
+        model: model || 'nano-banana',
+        aspectRatio: aspectRatio || null,
+        referenceImage: await imageField(req, 'referenceImage'),
+        seed: numberField(req.body.seed),
+        negativePrompt: req.body.negativePrompt || undefined,
+        enhance: isTrue(req.body.enhance),
+        client: getClientIdentity(req),
+        watermark: isTrue(req.body.watermark),
+        fallback: !isFalse(req.body.fallback),
+        motionPrompt: req.body.motionPrompt || undefined,
+        duration: numberField(req.body.duration),
+        captions: req.body.captions || undefined,
+        cache: !isFalse(req.body.cache)
+      };
+
+      if (isTrue(req.body.async)) {
+        validateAnimateRequest(prompt, options);
+        return submitAsync(res, 'animate', { prompt, ...options }, callbackUrl);
+      }
+
+      const result = await animate(prompt, options);
+      return res.json({ success: true, ...result });
+    } catch (error) {
+      console.error('[API] Animate error:', error.message);
+      return res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+  });
+
+  /**
+   * POST /generate-storyboard
+   * Body: { "script": "...", "duration": 30, "scenes": 3, "aspectRatio": "16:9", "imageUrl": "https://..." } (all but script optional)
+   * Takes minutes — use "async": true and poll GET /jobs/:id
+   */
+  app.post('/generate-storyboard', acceptImageFiles('image'), moderationGate, async (req, res) => {
+    try {
+      const { script, aspectRatio, callbackUrl } = req.body;
+
+      if (!script) {
+        return res.status(400).json({ success: false, message: 'script is required' });
+      }
+
+      const options = {
+        aspectRatio: aspectRatio || undefined,
+        imageUrl: await imageField(req, 'image', 'imageUrl'),
+        duration: numberField(req.body.duration),
+        scenes: numberField(req.body.scenes),
+        captions: req.body.captions || undefined,
+        client: getClientIdentity(req),
+        cache: !isFalse(req.body.cache)
+      };
+
+      if (isTrue(req.body.async)) {
+        validateStoryboardRequest(script, options);
+        return submitAsync(res, 'storyboard', { script, ...options }, callbackUrl);
+      }
+
+      const result = await generateStoryboard(script, options);
+      return res.json({ success: true, ...result });
+    } catch (error) {
+      console.error('[API] Storyboard error:', error.message);
+      return res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+  });
+
+  // ==========================================
+  // Async Generation Jobs (FREE)
+  // ==========================================
+
+  /**
+   * Queue a generation job and reply 202 with its id
+   */
+  async function submitAsync(res, type, params, callbackUrl) {
+    try {
+      const { callbackSecret, ...job } = await submitJob(type, params, { callbackUrl: callbackUrl || null });
+      return res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/jobs/${job.id}`,
+        ...(callbackSecret && { callbackSecret }),
+        job
+      });
+    } catch (error) {
+      return res.status(error.status || 400).json({ success: false, message: error.message });
+    }
+  }
+
+  /**
+   * GET /jobs/:id
+   * Poll an async generation job
+   */
+  app.get('/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found (unknown id or expired)' });
+    }
+    return res.json({ success: true, job });
+  });
+
+  /**
+   * POST /jobs/:id/cancel
+   * Cancel a queued or running job (running image jobs cancel their Replicate predictions)
+   */
+  app.post('/jobs/:id/cancel', (req, res) => {
+    try {
+      const job = cancelJob(req.params.id);
+      if (!job) {
+        return res.status(404).json({ success: false, message: 'Job not found (unknown id or expired)' });
+      }
+      return res.json({ success: true, job });
+    } catch (error) {
+      return res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+  });
+
+  // ==========================================
+  // Replicate Predictions
+  // ==========================================
+
+  /**
+   * POST /webhooks/replicate
+   * Signed status callbacks for predictions we created (set PUBLIC_BASE_URL and REPLICATE_WEBHOOK_SECRET to enable)
+   */
+  app.post('/webhooks/replicate', async (req, res) => {
+    if (!(await verifyWebhook(req.headers, req.rawBody))) {
+      return res.status(401).json({ success: false, message: 'Invalid webhook signature' });
+    }
+    const tracked = handleWebhook(req.body);
+    return res.json({ success: true, tracked });
+  });
+
+  /**
+   * GET /predictions/:id
+   * Status of a Replicate prediction (ids are listed in metadata.prediction_ids)
+   */
+  app.get('/predictions/:id', (req, res) => {
+    const prediction = getPrediction(req.params.id);
+    if (!prediction) {
+      return res.status(404).json({ success: false, message: 'Prediction not found (unknown id or expired)' });
+    }
+    return res.json({ success: true, prediction });
+  });
+
+  /**
+   * POST /predictions/:id/cancel
+   * Body: { "jobId": "..." }
+   * Cancel a running Replicate prediction started by that async job
+   */
+  app.post('/predictions/:id/cancel', async (req, res) => {
+    try {
+      const { jobId } = req.body || {};
+      if (!jobId || typeof jobId !== 'string') {
+        return res.status(400).json({ success: false, message: 'jobId of the job that started the prediction is required' });
+      }
+
+      const prediction = await cancelPrediction(req.params.id, { jobId });
+      if (!prediction) {
+        return res.status(404).json({ success: false, message: 'Prediction not found (unknown id or expired)' });
+      }
+      return res.json({ success: true, prediction: getPrediction(prediction.id) });
+    } catch (error) {
+      console.error('[API] Prediction cancel error:', error.message);
       return res.status(500).json({ success: false, message: error.message });
     }
   });
@@ -166,10 +734,61 @@ function createServer(agent = null, superteamAgent = null) {
     }
   });
 
+  /**
+   * POST /pumpfun/token/:ca/art
+   * Body: { "variants": ["logo", "meme", "banner"] } (optional, default: all)
+   * Uses the token's icon as a reference image for every variant
+   */
+  app.post('/pumpfun/token/:ca/art', async (req, res) => {
+    try {
+      const { variants, callbackUrl } = req.body;
+      const options = {
+        variants: typeof variants === 'string' ? variants.split(',').map(v => v.trim()) : (variants || undefined),
+        client: getClientIdentity(req)
+      };
+
+      if (isTrue(req.body.async)) {
+        return submitAsync(res, 'token-art', { ca: req.params.ca, ...options }, callbackUrl);
+      }
+
+      const result = await generateTokenArt(req.params.ca, options);
+      return res.json({ success: true, ...result });
+    } catch (error) {
+      console.error('[API] Token art error:', error.message);
+      return res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+  });
+
   // ==========================================
   // Solana Trending (via Grok x_search)
   // ==========================================
 
+  /**
+   * Schema for a trending search: { [key]: [item] }, where every item carries
+   * the X post it came from plus the given fields
+   */
+  function trendingSchema(key, fields, required) {
+    return {
+      type: 'object',
+      properties: {
+        [key]: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              ...fields,
+              x_username: { type: ['string', 'null'] },
+              tweet_content: { type: 'string' },
+              post_url: { type: ['string', 'null'] }
+            },
+            required
+          }
+        }
+      },
+      required: [key]
+    };
+  }
+
   app.get('/solana/trending-topics', async (req, res) => {
     try {
       const limit = parseInt(req.query.limit) || 10;
@@ -181,33 +800,30 @@ function createServer(agent = null, superteamAgent = null) {
 
       const message = `Search for trending Solana topics on X from the last 7 days.
 Use x_search: "Solana since:${dateStr} min_faves:100"
-Find top ${limit} trending discussions. Return JSON array:
-[{ "topic_name": "...", "category": "DeFi", "x_username": "@...", "tweet_content": "...", "post_url": "..." }]`;
+Find top ${limit} trending discussions. Return JSON:
+{ "topics": [{ "topic_name": "...", "category": "DeFi", "x_username": "@...", "tweet_content": "...", "post_url": "..." }] }`;
 
-      const response = await callGrokApi({
+      const { topics } = await callLlmStructured('trending-search', {
         message,
         tools: [{ type: 'x_search' }],
         systemInstruction
-      });
-
-      const items = parseJsonFromResponse(response);
-      const topics = Array.isArray(items) ? items : [];
+      }, trendingSchema('topics', { topic_name: { type: 'string', minLength: 1 }, category: { type: 'string' } }, ['topic_name']), { name: 'trending_topics' });
 
       return res.json({
         success: true,
         topics: topics.map((item, i) => ({
           id: `topic-${i + 1}`,
-          topic: item.topic_name || item.topic || item.title || 'Untitled',
+          topic: item.topic_name,
           category: item.category || 'General',
           x_username: item.x_username || null,
-          tweet_content: item.tweet_content || item.content || '',
+          tweet_content: item.tweet_content || '',
           post_url: item.post_url || null
         })),
         count: topics.length
       });
     } catch (error) {
       console.error('[API] Trending topics error:', error.message);
-      return res.status(500).json({ success: false, message: error.message });
+      return res.status(error.status || 500).json({ success: false, message: error.message });
     }
   });
 
@@ -218,33 +834,30 @@ Find top ${limit} trending discussions. Return JSON array:
 
       const message = `Use x_search to find top ${limit} trending Solana tokens (SPL tokens) on X.
 Search: "Solana token" OR "SPL token" OR "$SOL"
-Return JSON array:
-[{ "name": "...", "ticker": "...", "x_username": "@...", "tweet_content": "...", "post_url": "..." }]`;
+Return JSON:
+{ "tokens": [{ "name": "...", "ticker": "...", "x_username": "@...", "tweet_content": "...", "post_url": "..." }] }`;
 
-      const response = await callGrokApi({
+      const { tokens } = await callLlmStructured('trending-search', {
         message,
         tools: [{ type: 'x_search' }],
         systemInstruction
-      });
-
-      const items = parseJsonFromResponse(response);
-      const tokens = Array.isArray(items) ? items : [];
+      }, trendingSchema('tokens', { name: { type: ['string', 'null'] }, ticker: { type: ['string', 'null'] } }, ['name', 'ticker']), { name: 'trending_tokens' });
 
       return res.json({
         success: true,
         tokens: tokens.map((item, i) => ({
           id: `token-${i + 1}`,
-          name: item.name || item.token_name || null,
-          ticker: item.ticker || item.symbol || null,
+          name: item.name,
+          ticker: item.ticker,
           x_username: item.x_username || null,
-          tweet_content: item.tweet_content || item.content || '',
+          tweet_content: item.tweet_content || '',
           post_url: item.post_url || null
         })),
         count: tokens.length
       });
     } catch (error) {
       console.error('[API] Trending tokens error:', error.message);
-      return res.status(500).json({ success: false, message: error.message });
+      return res.status(error.status || 500).json({ success: false, message: error.message });
     }
   });
 
@@ -276,19 +889,28 @@ Return JSON array:
 
   /**
    * GET /test/image-showcase?model=nano-banana
+   * GET /test/image-showcase?variant=comparison
+   * GET /test/image-showcase?variant=video&model=seedream
    * Preview Image Showcase forum post (dry-run, no posting)
    */
   app.get('/test/image-showcase', async (req, res) => {
     try {
       const model = req.query.model || null;
+      const variant = req.query.variant || 'single';
       if (model && !IMAGE_MODELS.includes(model)) {
         return res.status(400).json({
           success: false,
           message: `Invalid model. Available: ${IMAGE_MODELS.join(', ')}`
         });
       }
-      console.log(`[Test] Image Showcase preview for: ${model || 'next in rotation'}`);
-      const result = await previewImageShowcase(model);
+      if (!SHOWCASE_VARIANTS.includes(variant)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid variant. Available: ${SHOWCASE_VARIANTS.join(', ')}`
+        });
+      }
+      console.log(`[Test] Image Showcase (${variant}) preview for: ${model || 'next in rotation'}`);
+      const result = await previewImageShowcase(model, variant);
       return res.json({ ...result, note: 'PREVIEW — nothing was posted to Colosseum forum' });
     } catch (error) {
       console.error('[Test] Image Showcase preview error:', error.message);
@@ -318,10 +940,43 @@ Return JSON array:
     }
   });
 
+  /**
+   * GET /test/leaderboard
+   * Preview weekly Model Leaderboard forum post (dry-run, no posting)
+   */
+  app.get('/test/leaderboard', async (req, res) => {
+    try {
+      console.log('[Test] Model Leaderboard preview');
+      const result = await previewLeaderboardPost();
+      return res.json({ ...result, note: 'PREVIEW — nothing was posted to Colosseum forum' });
+    } catch (error) {
+      console.error('[Test] Leaderboard preview error:', error.message);
+      return res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
   // ==========================================
   // Live Triggers (posts to Colosseum forum)
   // ==========================================
 
+  /**
+   * Leaderboard triggers pay for generations and judging, so they need the
+   * shared TRIGGER_SECRET (Authorization: Bearer <secret>) and are off without it
+   */
+  function requireTriggerSecret(req, res, next) {
+    const secret = process.env.TRIGGER_SECRET;
+    if (!secret) {
+      return res.status(503).json({ success: false, message: 'Leaderboard triggers are disabled. Set TRIGGER_SECRET to enable them.' });
+    }
+
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    if (scheme !== 'Bearer' || !token || !crypto.timingSafeEqual(digest(token), digest(secret))) {
+      return res.status(401).json({ success: false, message: 'Invalid or missing trigger secret' });
+    }
+    return next();
+  }
+
   /**
    * POST /trigger/x-news
    * Body: { "account": "solana" } (optional)
@@ -352,7 +1007,7 @@ Return JSON array:
 
   /**
    * POST /trigger/image-showcase
-   * Body: { "model": "nano-banana" } (optional)
+   * Body: { "model": "nano-banana" }, { "variant": "comparison" } or { "variant": "video" } (optional)
    */
   app.post('/trigger/image-showcase', async (req, res) => {
     if (!agent) {
@@ -363,14 +1018,21 @@ Return JSON array:
     }
     try {
       const model = req.body.model || null;
+      const variant = req.body.variant || 'single';
       if (model && !IMAGE_MODELS.includes(model)) {
         return res.status(400).json({
           success: false,
           message: `Invalid model. Available: ${IMAGE_MODELS.join(', ')}`
         });
       }
-      console.log(`[Trigger] Image Showcase LIVE for: ${model || 'next in rotation'}`);
-      const result = await runImageShowcase(agent, model);
+      if (!SHOWCASE_VARIANTS.includes(variant)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid variant. Available: ${SHOWCASE_VARIANTS.join(', ')}`
+        });
+      }
+      console.log(`[Trigger] Image Showcase (${variant}) LIVE for: ${model || 'next in rotation'}`);
+      const result = await runImageShowcase(agent, model, variant);
       return res.json(result);
     } catch (error) {
       console.error('[Trigger] Image Showcase error:', error.message);
@@ -406,6 +1068,42 @@ Return JSON array:
     }
   });
 
+  /**
+   * POST /trigger/leaderboard-match
+   * Run one blind head-to-head match (updates ratings, no forum post)
+   */
+  app.post('/trigger/leaderboard-match', requireTriggerSecret, async (req, res) => {
+    try {
+      console.log('[Trigger] Leaderboard match');
+      const result = await runLeaderboardMatch();
+      return res.json(result);
+    } catch (error) {
+      console.error('[Trigger] Leaderboard match error:', error.message);
+      return res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  /**
+   * POST /trigger/leaderboard
+   * Post the weekly Model Leaderboard summary to the forum
+   */
+  app.post('/trigger/leaderboard', requireTriggerSecret, async (req, res) => {
+    if (!agent) {
+      return res.status(503).json({
+        success: false,
+        message: 'Colosseum agent not configured. Set COLOSSEUM_API_KEY to enable live forum posting.'
+      });
+    }
+    try {
+      console.log('[Trigger] Model Leaderboard LIVE');
+      const result = await runLeaderboardPost(agent);
+      return res.json(result);
+    } catch (error) {
+      console.error('[Trigger] Leaderboard error:', error.message);
+      return res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
   // ==========================================
   // Superteam Earn Endpoints
   // ==========================================
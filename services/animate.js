@@ -0,0 +1,124 @@
+/**
+ * Animate Service — Standalone for Xona Agent
+ * Text → image → video in one call: a keyframe is generated with an image
+ * model (or preset), then animated with Grok Video starting from that frame
+ *
+ * Both assets come back together, and the video's provenance points at the
+ * keyframe it was made from.
+ */
+const { generateImage, validateImageRequest } = require('./image-gen');
+const { generateVideo, validateVideoRequest, VIDEO_CAPABILITIES } = require('./video-gen');
+
+/** Share of the progress bar spent on the keyframe (the video is the slow part) */
+const KEYFRAME_PROGRESS_SHARE = 0.25;
+
+/**
+ * Motion prompt used when the caller doesn't write one
+ */
+function defaultMotionPrompt(prompt) {
+  return `Bring this image to life with subtle, natural motion and a slow cinematic camera push-in. Keep the subject, style and composition. Scene: ${prompt}`
+    .substring(0, VIDEO_CAPABILITIES.maxPromptLength);
+}
+
+/**
+ * Video aspect ratio matching the keyframe (null = the video model's default)
+ */
+function videoAspectRatio(imageAspectRatio) {
+  return VIDEO_CAPABILITIES.aspectRatios.includes(imageAspectRatio) ? imageAspectRatio : null;
+}
+
+/**
+ * Keyframe options: generateImage options minus the video-only fields
+ * Always one image — there is one frame to animate.
+ */
+function keyframeOptions(options) {
+  const { motionPrompt, duration, captions, numOutputs, signal, onProgress, ...imageOptions } = options;
+  return imageOptions;
+}
+
+/**
+ * Check both halves of an animate request before anything is generated (400 on anything unsupported)
+ * @returns {Object} { motionPrompt, duration, captions }
+ */
+function validateAnimateRequest(prompt, options = {}) {
+  const image = validateImageRequest(prompt, keyframeOptions(options));
+  const motionPrompt = options.motionPrompt || defaultMotionPrompt(prompt);
+  const video = validateVideoRequest(motionPrompt, {
+    aspectRatio: videoAspectRatio(image.aspectRatio),
+    duration: options.duration,
+    captions: options.captions
+  });
+
+  return { motionPrompt, duration: video.duration, captions: video.captions };
+}
+
+/**
+ * Generate a keyframe, then animate it
+ * @param {string} prompt - Keyframe (image) prompt
+ * @param {Object} [options]
+ * @param {string} [options.model] - Image model for the keyframe (default: nano-banana)
+ * @param {string} [options.aspectRatio] - Keyframe aspect ratio; the video matches it when Grok Video supports it
+ * @param {string} [options.referenceImage] - Reference for the keyframe (models with supportsReference)
+ * @param {string} [options.motionPrompt] - How the scene should move (default: gentle motion and a slow push-in)
+ * @param {number} [options.duration] - Video length in seconds, 1-15 (default: 10)
+ * @param {string} [options.captions] - SRT or plain text burned into a captioned copy
+ * @param {boolean} [options.cache=true] - Reuse cached keyframes and videos for identical requests
+ * @param {AbortSignal} [options.signal] - Aborting cancels the keyframe, or stops before the video starts
+ * @param {Function} [options.onProgress] - Progress callback (percent, stage)
+ * Other generateImage options (seed, negativePrompt, enhance, watermark, fallback, ...) apply to the keyframe.
+ * @returns {Promise<Object>} { video_url, keyframe_url, poster_url, preview_url, captioned_url, prompt, motion_prompt, keyframe, video, metadata }
+ */
+async function animate(prompt, options = {}) {
+  const { cache = true, signal = null, onProgress = () => {} } = options;
+  const { motionPrompt, duration, captions } = validateAnimateRequest(prompt, options);
+
+  const keyframe = await generateImage(prompt, {
+    ...keyframeOptions(options),
+    cache,
+    signal,
+    onProgress: (percent, stage) => onProgress(percent * KEYFRAME_PROGRESS_SHARE, `keyframe: ${stage}`)
+  });
+  console.log(`[Animate] Keyframe (${keyframe.model}): ${keyframe.image_url}`);
+
+  if (signal && signal.aborted) {
+    throw new Error('Animation canceled');
+  }
+
+  // A fallback model may have picked another ratio — follow the keyframe
+  const aspectRatio = videoAspectRatio(keyframe.metadata.aspectRatio);
+  const video = await generateVideo(motionPrompt, {
+    imageUrl: keyframe.image_url,
+    aspectRatio,
+    duration,
+    captions,
+    cache,
+    onProgress: (percent, stage) => onProgress(100 * KEYFRAME_PROGRESS_SHARE + percent * (1 - KEYFRAME_PROGRESS_SHARE), `video: ${stage}`)
+  });
+  console.log(`[Animate] Video: ${video.video_url}`);
+
+  return {
+    video_url: video.video_url,
+    keyframe_url: keyframe.image_url,
+    poster_url: video.poster_url,
+    preview_url: video.preview_url,
+    captioned_url: video.captioned_url,
+    prompt,
+    motion_prompt: motionPrompt,
+    keyframe,
+    video,
+    metadata: {
+      keyframe_model: keyframe.model,
+      video_model: video.model,
+      aspect_ratio: aspectRatio || 'default',
+      duration: video.duration,
+      keyframe_cdn_key: keyframe.metadata.cdn_key,
+      video_cdn_key: video.metadata.cdn_key,
+      generatedAt: new Date().toISOString()
+    }
+  };
+}
+
+module.exports = {
+  animate,
+  validateAnimateRequest
+};
@@ -0,0 +1,128 @@
+/**
+ * Job Callback Delivery — Standalone for Xona Agent
+ * Checks callbackUrl and POSTs signed job results to it
+ *
+ * A callback is a request our server makes to a URL the caller picked, so it
+ * must never reach our own network: the host is resolved when the job is
+ * submitted and again when connecting, and private, loopback, link-local and
+ * other non-public addresses are refused both times. Redirects aren't followed.
+ *
+ * Each job gets its own random signing secret, returned once in the submit
+ * response. Deliveries carry X-Xona-Timestamp and
+ * X-Xona-Signature: sha256=HMAC(secret, "<timestamp>.<body>").
+ */
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const { badRequest } = require('./errors');
+
+/** Address ranges a callback may not reach */
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is outside the public internet
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup that fails for non-public addresses, used when connecting so a
+ * host can't pass the submit check and then resolve somewhere private
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) return callback(new Error(`${hostname} resolves to a non-public address (${blocked.address})`));
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * Check a callbackUrl: http(s), and every address it resolves to is public
+ * @param {string} callbackUrl
+ * @returns {Promise<string>} The URL, normalized
+ */
+async function validateCallbackUrl(callbackUrl) {
+  let url;
+  try {
+    url = new URL(callbackUrl);
+  } catch (e) {
+    throw badRequest('callbackUrl must be an http(s) URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw badRequest('callbackUrl must be an http(s) URL');
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(hostname) ? [hostname] : (await dns.promises.lookup(hostname, { all: true })).map(a => a.address);
+  } catch (e) {
+    throw badRequest(`callbackUrl host ${hostname} could not be resolved`);
+  }
+  if (addresses.length === 0 || addresses.some(isBlockedAddress)) {
+    throw badRequest('callbackUrl must point to a public address');
+  }
+
+  return url.toString();
+}
+
+/**
+ * New per-job signing secret
+ */
+function createCallbackSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Signature headers for a callback body
+ */
+function signCallback(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return {
+    'X-Xona-Timestamp': String(timestamp),
+    'X-Xona-Signature': `sha256=${signature}`
+  };
+}
+
+/**
+ * POST a signed JSON payload to a validated callbackUrl
+ */
+async function postCallback(callbackUrl, payload, secret) {
+  const body = JSON.stringify(payload);
+  await axios.post(callbackUrl, body, {
+    headers: { 'Content-Type': 'application/json', ...signCallback(body, secret) },
+    httpAgent,
+    httpsAgent,
+    proxy: false,
+    maxRedirects: 0,
+    timeout: 10000
+  });
+}
+
+module.exports = {
+  validateCallbackUrl,
+  createCallbackSecret,
+  signCallback,
+  postCallback
+};
@@ -1,25 +1,39 @@
 /**
  * Autonomous Forum Posting Service — Xona Agent
  * 
- * Three autonomous pipelines, all posting to the Colosseum hackathon forum:
+ * Four autonomous pipelines, all posting to the Colosseum hackathon forum:
  * 
  *   1. X News: Fetch latest news from 5 Solana ecosystem accounts,
- *      generate title + body + banner, post to forum
+ *      generate title + body + banner (re-rendered if the headline
+ *      text comes out wrong), post to forum
  * 
  *   2. Image Showcase: Generate creative AI images with rotating models,
- *      write model quality review, post to forum with image
+ *      write model quality review, post to forum with image; once a week
+ *      a keyframe is animated into a video instead (text → image → video)
  * 
  *   3. PumpFun Intel: Fetch trending/movers tokens, format analysis,
  *      post to forum with market data
+ *
+ *   4. Model Leaderboard: Blind head-to-head image matches judged by
+ *      Grok vision (Elo ratings), weekly summary post to forum
  * 
  * Cron schedule:
  *   X News:        02:00, 08:00, 14:00, 20:00 UTC  (4x/day, rotating 5 accounts)
- *   Image Showcase: 05:00, 17:00 UTC                (2x/day, rotating 3 models)
+ *   Image Showcase: 05:00, 17:00 UTC                (2x/day, rotating registry models)
+ *                   Fridays 19:00 UTC video variant
  *   PumpFun Intel:  03:00, 15:00 UTC                (2x/day, alternating trending/movers)
+ *   Leaderboard:    09:00, 21:00 UTC matches, Mondays 12:00 UTC summary post
  */
 const cron = require('node-cron');
-const { callGrokApi, extractTextFromResponse, parseJsonFromResponse } = require('./grok');
-const { generateImage, getModels } = require('./image-gen');
+const { callLlmStructured } = require('./llm');
+const { generateImage, editImage, watermarkImage } = require('./image-gen');
+const { getModel, getShowcaseModelKeys, getModelName } = require('./model-registry');
+const { enhancePrompt } = require('./prompt-enhancer');
+const { renderPreset } = require('./presets');
+const { getEmbedUrl } = require('./image-processing');
+const { compareImages } = require('./image-compare');
+const { animate } = require('./animate');
+const { runMatch, takeWeeklySnapshot, saveWeeklySnapshot } = require('./leaderboard');
 const { getTrending, getMovers } = require('./pumpfun');
 
 // ==========================================
@@ -35,12 +49,16 @@ const X_NEWS_ACCOUNTS = [
   'relayaisolana'
 ];
 
-/** Image models to showcase (rotated each run) */
-const IMAGE_MODELS = ['nano-banana', 'seedream', 'grok-imagine'];
+/** Image models to showcase (rotated each run, from the model registry) */
+const IMAGE_MODELS = getShowcaseModelKeys();
+
+/** Image Showcase variants: one model, every model side by side, or an animated keyframe */
+const SHOWCASE_VARIANTS = ['single', 'comparison', 'video'];
 
 /** Rotation indexes (persist in memory across cron runs) */
 let xNewsIndex = 0;
 let modelIndex = 0;
+let videoModelIndex = 0;
 let pumpfunType = 'trending'; // alternates between 'trending' and 'movers'
 
 /** Agent references for forum posting / Superteam Earn */
@@ -74,8 +92,33 @@ async function postToForum(agent, title, body) {
 // Pipeline 1: X News
 // ==========================================
 
+/** Output of the news search */
+const NEWS_SCHEMA = {
+  type: 'object',
+  properties: {
+    news: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          news_url: { type: ['string', 'null'] },
+          title: { type: 'string' },
+          text: { type: 'string' },
+          source_name: { type: 'string' },
+          date: { type: 'string' },
+          sentiment: { type: 'string', enum: ['Positive', 'Negative', 'Neutral'] }
+        },
+        required: ['news_url', 'text']
+      }
+    },
+    profile_image_url: { type: ['string', 'null'] }
+  },
+  required: ['news']
+};
+
 /**
  * Fetch latest news/announcements from an X account via Grok x_search
+ * @throws {StructuredOutputError} When the search results can't be read as NEWS_SCHEMA
  */
 async function fetchLatestNews(username) {
   console.log(`[X News] Fetching latest news from @${username}...`);
@@ -113,29 +156,21 @@ Return as JSON:
   "profile_image_url": "https://pbs.twimg.com/..."
 }`;
 
-  const response = await callGrokApi({
+  const result = await callLlmStructured('news-search', {
     message: `Search for latest news/updates/announcements from @${username} using x_search. Focus ONLY on main posts with news value. Extract profile image URL.`,
     tools: [{ type: 'x_search' }],
     systemInstruction
-  });
-
-  let newsItems = [];
-  let profileImageUrl = null;
-
-  const parsed = parseJsonFromResponse(response);
-  if (parsed) {
-    if (parsed.profile_image_url) profileImageUrl = parsed.profile_image_url;
-
-    const newsArray = Array.isArray(parsed.news) ? parsed.news : (Array.isArray(parsed) ? parsed : []);
-    newsItems = newsArray.map(item => ({
-      news_url: item.news_url || item.post_url || item.url || null,
-      title: item.title || (item.text || '').substring(0, 100),
-      text: item.text || item.tweet_content || item.content || '',
-      source_name: username,
-      date: item.date || item.created_at || new Date().toISOString(),
-      sentiment: item.sentiment || 'Neutral'
-    })).filter(item => item.text.length > 0);
-  }
+  }, NEWS_SCHEMA);
+
+  const profileImageUrl = result.profile_image_url || null;
+  let newsItems = result.news.map(item => ({
+    news_url: item.news_url,
+    title: item.title || item.text.substring(0, 100),
+    text: item.text,
+    source_name: username,
+    date: item.date || new Date().toISOString(),
+    sentiment: item.sentiment || 'Neutral'
+  })).filter(item => item.text.length > 0);
 
   // Filter out already-posted URLs
   newsItems = newsItems.filter(item => !recentNewsUrls.includes(item.news_url));
@@ -144,18 +179,25 @@ Return as JSON:
   return { newsItems, profileImageUrl };
 }
 
+/** Banner headline: up to 4 words */
+const TITLE_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 1, maxLength: 40, pattern: '^\\S+(\\s+\\S+){0,3}$' }
+  },
+  required: ['title']
+};
+
 /**
  * Generate a catchy 4-word title
  */
 async function generateNewsTitle(topNews, username) {
   try {
-    const response = await callGrokApi({
+    const result = await callLlmStructured('news-title', {
       message: `Based on this X post from @${username}, create a simple, catchy title (MAX 4 words):\n\n${JSON.stringify(topNews, null, 2)}\n\nReturn ONLY JSON: { "title": "Your catchy title" }`,
-      tools: [],
       systemInstruction: 'You are a news formatting assistant. Return only valid JSON with a title field (max 4 words).'
-    });
-    const result = parseJsonFromResponse(response);
-    if (result?.title) return result.title;
+    }, TITLE_SCHEMA);
+    return result.title;
   } catch (e) {
     console.warn('[X News] Title fallback:', e.message);
   }
@@ -163,22 +205,90 @@ async function generateNewsTitle(topNews, username) {
 }
 
 /**
- * Generate a news banner image
+ * Normalize banner text for comparison (case, punctuation and spacing are ignored)
  */
-async function generateNewsBanner(title, username, profileImageUrl) {
-  const bannerPrompt = `Create a dark, modern news banner image. Clean minimal background with subtle gradient glow. Display headline "${title}" prominently with smaller text "Latest from @${username}" above it. Bottom-right: "Made with Xona." Style: clean, high-contrast, futuristic, crypto-native editorial banner.`;
+function normalizeBannerText(text) {
+  return String(text || '').toUpperCase().replace(/[^A-Z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Read the headline back from a banner with Grok vision
+ * @returns {Promise<string|null>} Headline as rendered (null if the check failed)
+ */
+async function readBannerHeadline(bannerUrl) {
+  try {
+    const result = await callLlmStructured('banner-read', {
+      messages: [
+        {
+          role: 'system',
+          content: 'You transcribe text from images exactly as rendered, including misspellings. Return ONLY valid JSON.'
+        },
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: 'Transcribe the main (largest) headline in this banner exactly as it appears.\n\nReturn ONLY JSON: { "headline": "..." }' },
+            { type: 'image_url', image_url: { url: bannerUrl } }
+          ]
+        }
+      ]
+    }, {
+      type: 'object',
+      properties: { headline: { type: 'string' } },
+      required: ['headline']
+    });
+    return result.headline;
+  } catch (e) {
+    console.warn('[X News] Banner text check failed:', e.message);
+    return null;
+  }
+}
+
+/** Stamp WATERMARK_TEXT on X News banners (off unless X_NEWS_WATERMARK=true) */
+const X_NEWS_WATERMARK = process.env.X_NEWS_WATERMARK === 'true';
 
+/**
+ * Generate a news banner image from the `news-banner` preset
+ * If the rendered headline doesn't match the title, the banner is re-rendered
+ * once with an image edit (falls back to the original banner). With
+ * X_NEWS_WATERMARK, the watermark is stamped last, so an edit never has to
+ * preserve it.
+ * @returns {Promise<Object|null>} Image result (image_url, renditions) or null on failure
+ */
+async function generateNewsBanner(title, username, profileImageUrl) {
+  let banner;
   try {
-    const result = await generateImage(bannerPrompt, {
-      model: 'nano-banana',
-      aspectRatio: '16:9',
-      referenceImage: profileImageUrl || null
+    const preset = renderPreset('news-banner', { title, username });
+    banner = await generateImage(preset.prompt, {
+      model: preset.model,
+      aspectRatio: preset.aspectRatio,
+      // The profile picture is only a style hint — skip it for models without reference support
+      referenceImage: getModel(preset.model).supportsReference ? (profileImageUrl || preset.referenceImage) : null
     });
-    return result.image_url;
   } catch (e) {
     console.warn('[X News] Banner generation failed:', e.message);
     return null;
   }
+
+  const headline = await readBannerHeadline(banner.image_url);
+  if (headline !== null && normalizeBannerText(headline) !== normalizeBannerText(title)) {
+    console.log(`[X News] Banner headline reads "${headline}", expected "${title}" — re-rendering text...`);
+    try {
+      banner = await editImage(
+        `Replace the main headline text "${headline}" with exactly "${title}". Keep the font style, size, color, position and everything else in the image unchanged.`,
+        { image: banner.image_url, cache: false }
+      );
+    } catch (e) {
+      console.warn('[X News] Banner text fix failed, using original banner:', e.message);
+    }
+  }
+
+  if (!X_NEWS_WATERMARK) return banner;
+  try {
+    return await watermarkImage(banner);
+  } catch (e) {
+    console.warn('[X News] Watermark failed, posting unwatermarked banner:', e.message);
+    return banner;
+  }
 }
 
 /**
@@ -211,7 +321,8 @@ async function runXNewsPost(agent, forceAccount = null) {
 
   // Step 3: Generate banner
   console.log('[X News] Step 3: Generating banner...');
-  const bannerUrl = await generateNewsBanner(title, username, profileImageUrl);
+  const banner = await generateNewsBanner(title, username, profileImageUrl);
+  const bannerUrl = banner?.image_url || null;
 
   // Step 4: Build forum post body
   const forumTitle = `📡 Latest from @${username}: ${title}`;
@@ -220,7 +331,7 @@ async function runXNewsPost(agent, forceAccount = null) {
     '',
     topNews.text,
     '',
-    bannerUrl ? `![News Banner](${bannerUrl})` : '',
+    banner ? `![News Banner](${getEmbedUrl(banner)})` : '',
     '',
     `**Source:** ${topNews.news_url || `https://x.com/${username}`}`,
     `**Sentiment:** ${topNews.sentiment}`,
@@ -242,6 +353,7 @@ async function runXNewsPost(agent, forceAccount = null) {
     title: forumTitle,
     body: forumBody,
     bannerUrl,
+    bannerModel: banner?.model || null,
     newsSource: topNews.news_url,
     forumPostId: forumResult?.post?.id || null
   };
@@ -253,8 +365,10 @@ async function runXNewsPost(agent, forceAccount = null) {
 
 /**
  * Generate a creative prompt themed around Solana/AI/crypto
+ * @param {string} [modelKey] - When set, the prompt is tuned for this model via the prompt enhancer
+ * @returns {Promise<Object>} { prompt, theme, originalPrompt }
  */
-async function generateCreativePrompt() {
+async function generateCreativePrompt(modelKey = null) {
   const themes = [
     'Solana ecosystem', 'DeFi innovation', 'blockchain technology',
     'AI and crypto convergence', 'meme culture in crypto', 'digital art',
@@ -263,76 +377,143 @@ async function generateCreativePrompt() {
   ];
   const theme = themes[Math.floor(Math.random() * themes.length)];
 
+  let prompt = null;
   try {
-    const response = await callGrokApi({
-      message: `Generate a creative, vivid AI image generation prompt themed around "${theme}". Visually striking and artistic, 1-2 sentences, max 50 words. Include specific visual details.\n\nReturn ONLY JSON: { "prompt": "..." }`,
-      tools: []
+    const result = await callLlmStructured('showcase-prompt', {
+      message: `Generate a creative, vivid AI image generation prompt themed around "${theme}". Visually striking and artistic, 1-2 sentences, max 50 words. Include specific visual details.\n\nReturn ONLY JSON: { "prompt": "..." }`
+    }, {
+      type: 'object',
+      properties: { prompt: { type: 'string', minLength: 10, maxLength: 600 } },
+      required: ['prompt']
     });
-    const result = parseJsonFromResponse(response);
-    if (result?.prompt) return { prompt: result.prompt, theme };
+    prompt = result.prompt;
   } catch (e) {
     console.warn('[Showcase] Prompt fallback:', e.message);
   }
 
-  return {
-    prompt: `A breathtaking visualization of ${theme} with neon gradients, glowing particles, and futuristic elements in a cinematic 4K style`,
-    theme
-  };
+  if (!prompt) {
+    prompt = renderPreset('showcase', { theme }).prompt;
+  }
+
+  if (!modelKey) return { prompt, theme, originalPrompt: prompt };
+
+  const enhancement = await enhancePrompt(prompt, { model: modelKey, type: 'image' });
+  return { prompt: enhancement.prompt, theme, originalPrompt: prompt };
+}
+
+/** Fixed review rubric, each criterion scored 1-10 (higher is better) */
+const REVIEW_RUBRIC = {
+  prompt_adherence: 'How faithfully the image depicts everything the prompt asks for',
+  composition: 'Framing, balance, focal point and use of space',
+  text_rendering: 'Legibility and spelling of any text in the image (10 if the prompt asks for no text and none appears)',
+  artifacts: 'Freedom from artifacts: warped anatomy, melted details, noise, seams (10 = clean)'
+};
+
+/** Vision review output: a whole 1-10 score per rubric criterion plus the review text */
+const REVIEW_SCHEMA = {
+  type: 'object',
+  properties: {
+    scores: {
+      type: 'object',
+      properties: Object.fromEntries(Object.keys(REVIEW_RUBRIC).map(key => [key, { type: 'integer', minimum: 1, maximum: 10 }])),
+      required: Object.keys(REVIEW_RUBRIC)
+    },
+    review: { type: 'string', minLength: 1 }
+  },
+  required: ['scores', 'review']
+};
+
+/**
+ * Format rubric scores as a markdown table
+ */
+function formatScoresMarkdown(scores) {
+  const rows = Object.keys(REVIEW_RUBRIC).map(key =>
+    `| ${key.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase())} | ${scores[key]}/10 |`
+  );
+  return [
+    '| Criterion | Score |',
+    '|-----------|-------|',
+    ...rows,
+    `| **Overall** | **${scores.overall}/10** |`
+  ].join('\n');
 }
 
 /**
  * Generate a model quality review for the forum post
+ * The review is written by Grok vision looking at the actual generated image,
+ * and scored on REVIEW_RUBRIC.
+ * @returns {Promise<Object>} { review, scores } (scores is null if vision review failed)
  */
 async function generateModelReview(modelKey, prompt, imageUrl, theme) {
-  const modelNames = {
-    'nano-banana': 'Google Nano Banana',
-    'seedream': 'ByteDance Seedream 4.5',
-    'grok-imagine': 'xAI Grok Imagine'
-  };
-  const modelName = modelNames[modelKey] || modelKey;
+  const modelName = getModelName(modelKey);
+  const rubric = Object.entries(REVIEW_RUBRIC).map(([key, description]) => `- ${key}: ${description}`).join('\n');
 
   try {
-    const response = await callGrokApi({
-      message: `Write a forum post body reviewing an AI-generated image.
+    const result = await callLlmStructured('image-review', {
+      messages: [
+        {
+          role: 'system',
+          content: 'You are a rigorous AI image critic. Judge only what is visible in the image. Be genuine and technical, not salesy. Return ONLY valid JSON.'
+        },
+        {
+          role: 'user',
+          content: [
+            {
+              type: 'text',
+              text: `Review this AI-generated image for a forum post.
 
 Model: ${modelName}
 Prompt: "${prompt}"
 Theme: ${theme}
 
-Requirements:
-- Comment on the quality, detail, style, and vibe
-- Mention strengths and any limitations
-- Compare briefly with what you'd expect from other models
-- Be genuine and technical, not salesy
-- 3-5 sentences
+Score each criterion from 1 to 10:
+${rubric}
 
-Return ONLY JSON: { "review": "..." }`,
-      tools: []
-    });
-    const result = parseJsonFromResponse(response);
-    if (result?.review) return result.review;
+Then write a 3-5 sentence review grounded in what you see: strengths, concrete flaws, and how well it matches the prompt.
+
+Return ONLY JSON: { "scores": { "prompt_adherence": 0, "composition": 0, "text_rendering": 0, "artifacts": 0 }, "review": "..." }`
+            },
+            { type: 'image_url', image_url: { url: imageUrl } }
+          ]
+        }
+      ]
+    }, REVIEW_SCHEMA);
+
+    const scores = {};
+    for (const key of Object.keys(REVIEW_RUBRIC)) {
+      scores[key] = result.scores[key];
+    }
+    const values = Object.values(scores);
+    scores.overall = Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10;
+    return { review: result.review, scores };
   } catch (e) {
     console.warn('[Showcase] Review fallback:', e.message);
   }
 
-  return `Generated with ${modelName}. The model handles the "${theme}" theme well, producing vivid colors and coherent composition. Detail level is solid for the prompt complexity. Overall a strong showing of current AI image generation capabilities.`;
+  return {
+    review: `Generated with ${modelName} for the "${theme}" theme. An automated visual review was not available for this image, so no rubric scores are reported.`,
+    scores: null
+  };
 }
 
 /**
  * Full Image Showcase pipeline → post to Colosseum forum
  * @param {Object} agent - ColosseumAgent instance (null for preview)
  * @param {string} [forceModel] - Force specific model
+ * @param {string} [variant='single'] - 'single' (rotating model), 'comparison' (all models) or 'video' (animated keyframe)
  */
-async function runImageShowcase(agent, forceModel = null) {
-  const modelKey = forceModel || IMAGE_MODELS[modelIndex % IMAGE_MODELS.length];
+async function runImageShowcase(agent, forceModel = null, variant = 'single') {
+  if (variant === 'comparison') {
+    return runComparisonShowcase(agent);
+  }
+  if (variant === 'video') {
+    return runVideoShowcase(agent, forceModel);
+  }
+
+  let modelKey = forceModel || IMAGE_MODELS[modelIndex % IMAGE_MODELS.length];
   if (!forceModel) modelIndex++;
 
-  const modelNames = {
-    'nano-banana': 'Google Nano Banana',
-    'seedream': 'ByteDance Seedream 4.5',
-    'grok-imagine': 'xAI Grok Imagine'
-  };
-  const modelName = modelNames[modelKey] || modelKey;
+  let modelName = getModelName(modelKey);
 
   console.log(`\n[Showcase] ═══════════════════════════════════════`);
   console.log(`[Showcase] Pipeline with model: ${modelName}`);
@@ -340,39 +521,50 @@ async function runImageShowcase(agent, forceModel = null) {
 
   // Step 1: Generate creative prompt
   console.log('[Showcase] Step 1: Generating creative prompt...');
-  const { prompt, theme } = await generateCreativePrompt();
+  const { prompt, theme } = await generateCreativePrompt(modelKey);
   console.log(`[Showcase] Prompt: ${prompt.substring(0, 80)}...`);
 
   // Step 2: Generate image
   console.log(`[Showcase] Step 2: Generating image with ${modelKey}...`);
-  const imageResult = await generateImage(prompt, { model: modelKey, aspectRatio: '1:1' });
+  const imageResult = await generateImage(prompt, { model: modelKey });
   console.log(`[Showcase] Image: ${imageResult.image_url}`);
 
+  // A fallback model may have produced the image — review and credit that one
+  if (imageResult.model !== modelKey) {
+    console.log(`[Showcase] ${modelName} unavailable, showcasing fallback ${imageResult.model} instead`);
+    modelKey = imageResult.model;
+    modelName = getModelName(modelKey);
+  }
+
   // Step 3: Generate review
   console.log('[Showcase] Step 3: Writing model review...');
-  const review = await generateModelReview(modelKey, prompt, imageResult.image_url, theme);
+  const { review, scores } = await generateModelReview(modelKey, prompt, imageResult.image_url, theme);
 
   // Step 4: Build forum post
+  const seed = imageResult.metadata.seed ?? null;
   const forumTitle = `🎨 AI Image Showcase: ${modelName} — "${theme}"`;
   const forumBody = [
     `## ${modelName} — Image Generation Review`,
     '',
-    `![Generated Image](${imageResult.image_url})`,
+    `![Generated Image](${getEmbedUrl(imageResult)})`,
     '',
     `**Prompt:** "${prompt}"`,
     '',
     `**Model:** ${modelName}`,
     `**Theme:** ${theme}`,
+    // Seeded models can reproduce this exact image
+    ...(seed !== null ? [`**Seed:** ${seed}`] : []),
     '',
     '### Review',
     '',
     review,
     '',
+    scores ? '### Scores\n\n' + formatScoresMarkdown(scores) + '\n' : '',
     '---',
     `Want to generate your own? Use our free API:`,
     '```',
     'POST /generate-image',
-    `{ "prompt": "${prompt.substring(0, 80)}...", "model": "${modelKey}" }`,
+    `{ "prompt": "${prompt.substring(0, 80)}...", "model": "${modelKey}"${seed !== null ? `, "seed": ${seed}` : ''} }`,
     '```',
     '',
     '*Autonomously generated by Xona Agent — showcasing AI model capabilities*',
@@ -390,7 +582,180 @@ async function runImageShowcase(agent, forceModel = null) {
     theme,
     prompt,
     imageUrl: imageResult.image_url,
+    seed,
     review,
+    scores,
+    title: forumTitle,
+    body: forumBody,
+    forumPostId: forumResult?.post?.id || null
+  };
+}
+
+/**
+ * Comparison Image Showcase → one prompt across all models, grid posted to forum
+ * @param {Object} agent - ColosseumAgent instance (null for preview)
+ */
+async function runComparisonShowcase(agent) {
+  console.log(`\n[Showcase] ═══════════════════════════════════════`);
+  console.log(`[Showcase] Comparison pipeline across: ${IMAGE_MODELS.join(', ')}`);
+  console.log(`[Showcase] ═══════════════════════════════════════\n`);
+
+  // Step 1: Generate a model-neutral creative prompt
+  console.log('[Showcase] Step 1: Generating creative prompt...');
+  const { prompt, theme } = await generateCreativePrompt();
+  console.log(`[Showcase] Prompt: ${prompt.substring(0, 80)}...`);
+
+  // Step 2: Run every model and composite the grid
+  console.log('[Showcase] Step 2: Generating comparison grid...');
+  const comparison = await compareImages(prompt, { aspectRatio: '1:1', models: IMAGE_MODELS });
+  console.log(`[Showcase] Grid: ${comparison.grid_url}`);
+
+  // Step 3: Build forum post
+  const resultRows = comparison.results.map(r =>
+    `| ${r.name} | ${r.success ? `${(r.latency_ms / 1000).toFixed(1)}s` : '—'} | ${r.success ? `[view](${r.image_url})` : `failed: ${r.error}`} |`
+  );
+
+  const forumTitle = `🆚 AI Image Showcase: Model Comparison — "${theme}"`;
+  const forumBody = [
+    `## Same prompt, ${comparison.results.length} models`,
+    '',
+    comparison.grid_url ? `![Model Comparison](${comparison.grid_renditions?.web?.url || comparison.grid_url})` : '',
+    '',
+    `**Prompt:** "${prompt}"`,
+    `**Theme:** ${theme}`,
+    '',
+    '| Model | Latency | Result |',
+    '|-------|---------|--------|',
+    ...resultRows,
+    '',
+    '---',
+    `Compare models on your own prompt with our free API:`,
+    '```',
+    'POST /compare-images',
+    `{ "prompt": "${prompt.substring(0, 80)}..." }`,
+    '```',
+    '',
+    '*Autonomously generated by Xona Agent — showcasing AI model capabilities*',
+  ].join('\n');
+
+  // Step 4: Post to forum
+  console.log('[Showcase] Step 3: Posting to Colosseum forum...');
+  const forumResult = await postToForum(agent, forumTitle, forumBody);
+
+  return {
+    success: true,
+    type: 'image_showcase_comparison',
+    models: IMAGE_MODELS,
+    theme,
+    prompt,
+    gridUrl: comparison.grid_url,
+    results: comparison.results,
+    title: forumTitle,
+    body: forumBody,
+    forumPostId: forumResult?.post?.id || null
+  };
+}
+
+/**
+ * Ask Grok how a showcase keyframe should move
+ * @returns {Promise<string|null>} Motion prompt, or null to use the animate default
+ */
+async function generateMotionPrompt(prompt, theme) {
+  try {
+    const result = await callLlmStructured('showcase-motion', {
+      message: `An AI image was generated from this prompt: "${prompt}" (theme: ${theme}). Write a motion prompt for a 10-second image-to-video clip that starts on that image: what moves, how the camera moves, and the mood. 1-2 sentences, max 40 words, no cuts to new scenes.
+
+Return ONLY JSON: { "motion": "..." }`
+    }, {
+      type: 'object',
+      properties: { motion: { type: 'string', minLength: 1, maxLength: 400 } },
+      required: ['motion']
+    });
+    return result.motion;
+  } catch (e) {
+    console.warn('[Showcase] Motion prompt fallback:', e.message);
+  }
+  return null;
+}
+
+/**
+ * Weekly Video Showcase → keyframe from the next model in rotation, animated
+ * with Grok Video (same pipeline as POST /animate), posted with a looping preview
+ * @param {Object} agent - ColosseumAgent instance (null for preview)
+ * @param {string} [forceModel] - Force the keyframe model
+ */
+async function runVideoShowcase(agent, forceModel = null) {
+  let modelKey = forceModel || IMAGE_MODELS[videoModelIndex % IMAGE_MODELS.length];
+  if (!forceModel) videoModelIndex++;
+
+  let modelName = getModelName(modelKey);
+
+  console.log(`\n[Showcase] ═══════════════════════════════════════`);
+  console.log(`[Showcase] Video pipeline with keyframe model: ${modelName}`);
+  console.log(`[Showcase] ═══════════════════════════════════════\n`);
+
+  // Step 1: Generate creative prompt and how it should move
+  console.log('[Showcase] Step 1: Generating creative and motion prompts...');
+  const { prompt, theme } = await generateCreativePrompt(modelKey);
+  const motionPrompt = await generateMotionPrompt(prompt, theme);
+  console.log(`[Showcase] Prompt: ${prompt.substring(0, 80)}...`);
+
+  // Step 2: Keyframe → video (widescreen when the model can do it)
+  console.log(`[Showcase] Step 2: Animating a ${modelKey} keyframe...`);
+  const aspectRatio = getModel(modelKey).aspectRatios.includes('16:9') ? '16:9' : null;
+  const result = await animate(prompt, { model: modelKey, aspectRatio, ...(motionPrompt && { motionPrompt }) });
+  console.log(`[Showcase] Video: ${result.video_url}`);
+
+  // A fallback model may have produced the keyframe — credit that one
+  if (result.keyframe.model !== modelKey) {
+    console.log(`[Showcase] ${modelName} unavailable, keyframe came from fallback ${result.keyframe.model}`);
+    modelKey = result.keyframe.model;
+    modelName = getModelName(modelKey);
+  }
+
+  // Step 3: Build forum post (the preview loop plays inline; the MP4 is linked)
+  const previewUrl = result.preview_url || result.poster_url || getEmbedUrl(result.keyframe);
+  const forumTitle = `🎬 Weekly Video Showcase: ${modelName} × Grok Video — "${theme}"`;
+  const forumBody = [
+    `## From prompt to keyframe to video`,
+    '',
+    `![Video preview](${previewUrl})`,
+    '',
+    `**[▶ Watch the ${result.metadata.duration}s video](${result.video_url})** · [keyframe](${result.keyframe_url})`,
+    '',
+    `**Prompt:** "${prompt}"`,
+    '',
+    `**Motion:** "${result.motion_prompt}"`,
+    '',
+    `**Keyframe model:** ${modelName}`,
+    `**Video model:** Grok Imagine Video`,
+    `**Theme:** ${theme}`,
+    '',
+    '---',
+    `Animate your own prompt with our free API:`,
+    '```',
+    'POST /animate',
+    `{ "prompt": "${prompt.substring(0, 80)}...", "model": "${modelKey}", "async": true }`,
+    '```',
+    '',
+    '*Autonomously generated by Xona Agent — showcasing AI model capabilities*',
+  ].join('\n');
+
+  // Step 4: Post to forum
+  console.log('[Showcase] Step 3: Posting to Colosseum forum...');
+  const forumResult = await postToForum(agent, forumTitle, forumBody);
+
+  return {
+    success: true,
+    type: 'image_showcase_video',
+    model: modelKey,
+    modelName,
+    theme,
+    prompt,
+    motionPrompt: result.motion_prompt,
+    keyframeUrl: result.keyframe_url,
+    videoUrl: result.video_url,
+    previewUrl,
     title: forumTitle,
     body: forumBody,
     forumPostId: forumResult?.post?.id || null
@@ -501,6 +866,89 @@ async function runPumpFunPost(agent, forceType = null) {
   };
 }
 
+// ==========================================
+// Pipeline 4: Model Leaderboard
+// ==========================================
+
+/**
+ * Run one blind head-to-head match (no forum post — results feed the weekly post)
+ */
+async function runLeaderboardMatch() {
+  console.log(`\n[Leaderboard] ═══════════════════════════════════════`);
+  console.log(`[Leaderboard] Head-to-head match`);
+  console.log(`[Leaderboard] ═══════════════════════════════════════\n`);
+
+  const { prompt, theme } = await generateCreativePrompt();
+  const match = await runMatch(prompt, { models: IMAGE_MODELS });
+  return { success: true, type: 'leaderboard_match', theme, match };
+}
+
+/**
+ * Weekly leaderboard summary → post to Colosseum forum
+ * @param {Object} agent - ColosseumAgent instance (null for preview)
+ */
+async function runLeaderboardPost(agent) {
+  console.log('[Leaderboard] Building weekly summary...');
+
+  const { ratings, matchesSince, previousSnapshotAt, snapshot } = takeWeeklySnapshot();
+
+  if (matchesSince === 0) {
+    return { success: false, message: 'No leaderboard matches played since the last summary', type: 'leaderboard' };
+  }
+
+  const formatChange = (value, suffix = '') => {
+    if (value === null) return 'new';
+    if (value === 0) return '—';
+    return `${value > 0 ? '▲' : '▼'} ${Math.abs(value)}${suffix}`;
+  };
+
+  const rows = ratings.map(r =>
+    `| ${r.rank} | ${r.name} | ${Math.round(r.rating)} | ${formatChange(r.rankChange)} | ${formatChange(r.ratingChange)} | ${r.wins}-${r.losses}-${r.ties} |`
+  );
+
+  const now = new Date().toISOString().split('T')[0];
+  const forumTitle = `🏆 Image Model Leaderboard — week of ${now}`;
+  const forumBody = [
+    `## Image Model Leaderboard`,
+    `*${matchesSince} blind head-to-head matches${previousSnapshotAt ? ` since ${previousSnapshotAt.split('T')[0]}` : ''}, judged by Grok vision. Elo ratings, everyone starts at 1500.*`,
+    '',
+    '| Rank | Model | Elo | Rank Δ | Elo Δ | W-L-T |',
+    '|------|-------|-----|--------|-------|-------|',
+    ...rows,
+    '',
+    `**Current leader:** ${ratings[0].name}`,
+    '',
+    '---',
+    'Full standings and recent matches:',
+    '```',
+    'GET /models/leaderboard',
+    '```',
+    '',
+    '*Autonomously judged by Xona Agent — same prompt, two models, one blind vote*',
+  ].join('\n');
+
+  console.log('[Leaderboard] Posting to Colosseum forum...');
+  const forumResult = await postToForum(agent, forumTitle, forumBody);
+
+  // The baseline only moves once the summary is on the forum (never for previews)
+  if (agent) {
+    if (!forumResult) {
+      return { success: false, message: 'Forum post failed; weekly snapshot not saved', type: 'leaderboard', title: forumTitle, body: forumBody };
+    }
+    saveWeeklySnapshot(snapshot);
+  }
+
+  return {
+    success: true,
+    type: 'leaderboard',
+    ratings,
+    matchesSince,
+    title: forumTitle,
+    body: forumBody,
+    forumPostId: forumResult?.post?.id || null
+  };
+}
+
 // ==========================================
 // Preview (dry-run — no forum posting)
 // ==========================================
@@ -515,8 +963,15 @@ async function previewXNews(forceAccount = null) {
 /**
  * Preview Image Showcase (no posting)
  */
-async function previewImageShowcase(forceModel = null) {
-  return runImageShowcase(null, forceModel);
+async function previewImageShowcase(forceModel = null, variant = 'single') {
+  return runImageShowcase(null, forceModel, variant);
+}
+
+/**
+ * Preview weekly leaderboard post (no posting, snapshot not saved)
+ */
+async function previewLeaderboardPost() {
+  return runLeaderboardPost(null);
 }
 
 /**
@@ -532,7 +987,10 @@ async function previewPumpFun(forceType = null) {
 
 let xNewsCron = null;
 let showcaseCron = null;
+let showcaseVideoCron = null;
 let pumpfunCron = null;
+let leaderboardMatchCron = null;
+let leaderboardPostCron = null;
 
 /**
  * Start all autonomous forum posting cron jobs
@@ -556,7 +1014,7 @@ function startCron(agent, superteamAgent = null) {
     }
   }, { scheduled: true, timezone: 'UTC' });
 
-  // Image Showcase: 05:00, 17:00 UTC (rotating 3 models)
+  // Image Showcase: 05:00, 17:00 UTC (rotating registry models)
   showcaseCron = cron.schedule('0 5,17 * * *', async () => {
     console.log(`[Cron] Image Showcase triggered at ${new Date().toISOString()}`);
     try {
@@ -566,6 +1024,16 @@ function startCron(agent, superteamAgent = null) {
     }
   }, { scheduled: true, timezone: 'UTC' });
 
+  // Video Showcase: Fridays 19:00 UTC (keyframe animated with Grok Video)
+  showcaseVideoCron = cron.schedule('0 19 * * 5', async () => {
+    console.log(`[Cron] Video Showcase triggered at ${new Date().toISOString()}`);
+    try {
+      await runImageShowcase(_agent, null, 'video');
+    } catch (error) {
+      console.error('[Cron] Video Showcase error:', error.message);
+    }
+  }, { scheduled: true, timezone: 'UTC' });
+
   // PumpFun Intel: 03:00, 15:00 UTC (alternating trending/movers)
   pumpfunCron = cron.schedule('0 3,15 * * *', async () => {
     console.log(`[Cron] PumpFun Intel triggered at ${new Date().toISOString()}`);
@@ -576,10 +1044,32 @@ function startCron(agent, superteamAgent = null) {
     }
   }, { scheduled: true, timezone: 'UTC' });
 
+  // Leaderboard matches: 09:00, 21:00 UTC
+  leaderboardMatchCron = cron.schedule('0 9,21 * * *', async () => {
+    console.log(`[Cron] Leaderboard match triggered at ${new Date().toISOString()}`);
+    try {
+      await runLeaderboardMatch();
+    } catch (error) {
+      console.error('[Cron] Leaderboard match error:', error.message);
+    }
+  }, { scheduled: true, timezone: 'UTC' });
+
+  // Leaderboard summary: Mondays 12:00 UTC
+  leaderboardPostCron = cron.schedule('0 12 * * 1', async () => {
+    console.log(`[Cron] Leaderboard summary triggered at ${new Date().toISOString()}`);
+    try {
+      await runLeaderboardPost(_agent);
+    } catch (error) {
+      console.error('[Cron] Leaderboard summary error:', error.message);
+    }
+  }, { scheduled: true, timezone: 'UTC' });
+
   console.log('[Cron] Cron jobs started:');
   console.log('  📡 X News:        02:00, 08:00, 14:00, 20:00 UTC → rotating: ' + X_NEWS_ACCOUNTS.join(', '));
   console.log('  🎨 Image Showcase: 05:00, 17:00 UTC → rotating: ' + IMAGE_MODELS.join(', '));
+  console.log('  🎬 Video Showcase: Fridays 19:00 UTC → keyframe + Grok Video');
   console.log('  📊 PumpFun Intel:  03:00, 15:00 UTC → alternating: trending / movers');
+  console.log('  🏆 Leaderboard:    matches 09:00, 21:00 UTC · summary Mondays 12:00 UTC');
 }
 
 /**
@@ -588,7 +1078,10 @@ function startCron(agent, superteamAgent = null) {
 function stopCron() {
   if (xNewsCron) { xNewsCron.stop(); xNewsCron = null; }
   if (showcaseCron) { showcaseCron.stop(); showcaseCron = null; }
+  if (showcaseVideoCron) { showcaseVideoCron.stop(); showcaseVideoCron = null; }
   if (pumpfunCron) { pumpfunCron.stop(); pumpfunCron = null; }
+  if (leaderboardMatchCron) { leaderboardMatchCron.stop(); leaderboardMatchCron = null; }
+  if (leaderboardPostCron) { leaderboardPostCron.stop(); leaderboardPostCron = null; }
 }
 
 module.exports = {
@@ -598,11 +1091,16 @@ module.exports = {
   runXNewsPost,
   runImageShowcase,
   runPumpFunPost,
+  runLeaderboardPost,
+  // Leaderboard matches (no posting)
+  runLeaderboardMatch,
   // Preview (no posting)
   previewXNews,
   previewImageShowcase,
   previewPumpFun,
+  previewLeaderboardPost,
   // Config
   X_NEWS_ACCOUNTS,
-  IMAGE_MODELS
+  IMAGE_MODELS,
+  SHOWCASE_VARIANTS
 };
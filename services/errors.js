@@ -0,0 +1,51 @@
+/**
+ * Error helpers — Standalone for Xona Agent
+ * Errors carry an HTTP `status` so routes can answer with
+ * `res.status(error.status || 500)` instead of guessing.
+ */
+
+/**
+ * The caller sent something we can't accept (400)
+ * @param {string} message - Shown to the caller as-is
+ */
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * The configured provider can't do what was asked (501)
+ * @param {string} message - Shown to the caller as-is
+ */
+function notImplemented(message) {
+  const error = new Error(message);
+  error.status = 501;
+  return error;
+}
+
+/**
+ * An LLM returned output that doesn't match the requested schema,
+ * even after a repair retry (502 — the upstream answer was bad)
+ */
+class StructuredOutputError extends Error {
+  /**
+   * @param {string} task - LLM task key
+   * @param {Array<string>} errors - Validation errors from the last attempt
+   * @param {string|null} output - Raw text of the last attempt
+   */
+  constructor(task, errors, output) {
+    super(`LLM task "${task}" returned invalid structured output: ${errors.slice(0, 3).join('; ')}`);
+    this.name = 'StructuredOutputError';
+    this.status = 502;
+    this.task = task;
+    this.errors = errors;
+    this.output = output;
+  }
+}
+
+module.exports = {
+  badRequest,
+  notImplemented,
+  StructuredOutputError
+};
@@ -0,0 +1,151 @@
+/**
+ * EXIF Embedding — Standalone for Xona Agent
+ * Writes an EXIF block into JPEG, PNG and WebP files without re-encoding
+ *
+ * The pixels are never decoded: the EXIF payload is spliced in as a JPEG APP1
+ * segment, a PNG eXIf chunk or a WebP EXIF chunk, replacing any EXIF the file
+ * already had. The payload itself is built by sharp from a 1x1 image.
+ */
+const sharp = require('sharp');
+const zlib = require('zlib');
+
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'binary');
+
+/**
+ * Build an EXIF payload ("Exif\0\0" + TIFF) holding the given tags
+ * @param {Object} exif - Tags by IFD, as for sharp's withExif (e.g. { IFD0: { Artist: '...' } })
+ * @returns {Promise<Buffer>}
+ */
+async function buildExifPayload(exif) {
+  const carrier = await sharp({ create: { width: 1, height: 1, channels: 3, background: '#000000' } })
+    .jpeg()
+    .withExif(exif)
+    .toBuffer();
+  const { exif: payload } = await sharp(carrier).metadata();
+  if (!payload) throw new Error('Could not build EXIF payload');
+  return payload;
+}
+
+/**
+ * JPEG: drop existing Exif APP1 segments and insert ours after SOI/APP0
+ */
+function embedJpeg(buffer, payload) {
+  const segments = [];
+  let offset = 2;
+  let insertAt = 2;
+
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+    // Start of scan: entropy-coded data follows, no more headers
+    if (marker === 0xda) break;
+    const length = buffer.readUInt16BE(offset + 2);
+    const end = offset + 2 + length;
+    const isExif = marker === 0xe1 && buffer.subarray(offset + 4, offset + 10).equals(EXIF_HEADER);
+    if (isExif) segments.push([offset, end]);
+    if (marker === 0xe0 && insertAt === offset) insertAt = end;
+    offset = end;
+  }
+
+  const app1 = Buffer.alloc(4);
+  app1.writeUInt16BE(0xffe1, 0);
+  app1.writeUInt16BE(payload.length + 2, 2);
+
+  const parts = [buffer.subarray(0, insertAt), app1, payload];
+  let cursor = insertAt;
+  for (const [start, end] of segments) {
+    if (start < cursor) continue;
+    parts.push(buffer.subarray(cursor, start));
+    cursor = end;
+  }
+  parts.push(buffer.subarray(cursor));
+  return Buffer.concat(parts);
+}
+
+/**
+ * PNG: drop existing eXIf chunks and insert ours before the first IDAT
+ */
+function embedPng(buffer, payload) {
+  const data = payload.subarray(EXIF_HEADER.length);
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write('eXIf', 4, 'ascii');
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(zlib.crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+
+  const parts = [buffer.subarray(0, 8)];
+  let offset = 8;
+  let inserted = false;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (type === 'IDAT' && !inserted) {
+      parts.push(chunk);
+      inserted = true;
+    }
+    if (type !== 'eXIf') parts.push(buffer.subarray(offset, end));
+    offset = end;
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * WebP: make it an extended (VP8X) file with the EXIF flag set and append our EXIF chunk
+ */
+function embedWebp(buffer, payload, { width, height, hasAlpha }) {
+  const data = payload.subarray(EXIF_HEADER.length);
+  const chunks = [];
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.toString('ascii', offset, offset + 4);
+    const length = buffer.readUInt32LE(offset + 4);
+    const end = offset + 8 + length + (length % 2);
+    if (type !== 'EXIF') chunks.push({ type, chunk: buffer.subarray(offset, end) });
+    offset = end;
+  }
+
+  let vp8x = chunks.find(c => c.type === 'VP8X');
+  if (vp8x) {
+    vp8x.chunk = Buffer.from(vp8x.chunk);
+  } else {
+    const chunk = Buffer.alloc(18);
+    chunk.write('VP8X', 0, 'ascii');
+    chunk.writeUInt32LE(10, 4);
+    if (hasAlpha) chunk[8] |= 0x10;
+    chunk.writeUIntLE(width - 1, 12, 3);
+    chunk.writeUIntLE(height - 1, 15, 3);
+    vp8x = { type: 'VP8X', chunk };
+    chunks.unshift(vp8x);
+  }
+  vp8x.chunk[8] |= 0x08;
+
+  const exif = Buffer.alloc(8 + data.length + (data.length % 2));
+  exif.write('EXIF', 0, 'ascii');
+  exif.writeUInt32LE(data.length, 4);
+  data.copy(exif, 8);
+
+  const body = Buffer.concat([Buffer.from('WEBP', 'ascii'), ...chunks.map(c => c.chunk), exif]);
+  const header = Buffer.alloc(8);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(body.length, 4);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Write EXIF tags into an image without touching its pixels
+ * @param {Buffer} buffer - Image bytes
+ * @param {string} format - 'jpeg', 'png' or 'webp' (see sniffImageFormat)
+ * @param {Object} exif - Tags by IFD (e.g. { IFD0: { ImageDescription: '...' } })
+ * @returns {Promise<Buffer>} The image with EXIF, same encoding
+ */
+async function embedExif(buffer, format, exif) {
+  const payload = await buildExifPayload(exif);
+  if (format === 'jpeg') return embedJpeg(buffer, payload);
+  if (format === 'png') return embedPng(buffer, payload);
+  if (format === 'webp') return embedWebp(buffer, payload, await sharp(buffer).metadata());
+  throw new Error(`Can't embed EXIF in ${format}`);
+}
+
+module.exports = {
+  embedExif
+};
@@ -0,0 +1,233 @@
+/**
+ * Generation Cache — Standalone for Xona Agent
+ * Content-addressed cache of generated media, keyed on a hash of the normalized request
+ *
+ * A hit returns the previously uploaded CDN URL and cdn_key instead of paying
+ * the provider again. Identical requests already in flight share one generation.
+ *
+ * Entries are appended, one JSON line each, to DATA_DIR/generation-cache.jsonl
+ * and held in memory in insertion order, so a write never rewrites the whole
+ * cache and eviction only drops the oldest few. The log is compacted to the
+ * live entries at startup and whenever it grows past twice CACHE_MAX_ENTRIES.
+ * Entries from the older DATA_DIR/generation-cache.json store are migrated.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { JsonStore, DATA_DIR } = require('./store');
+
+const CACHE_TTL_MS = (parseInt(process.env.GENERATION_CACHE_TTL_HOURS) || 168) * 60 * 60 * 1000;
+const CACHE_MAX_ENTRIES = parseInt(process.env.GENERATION_CACHE_MAX_ENTRIES) || 5000;
+const CACHE_LOG_PATH = path.join(DATA_DIR, 'generation-cache.jsonl');
+
+/** Cached entries, keyed by cache key (oldest first) */
+const cache = new Map();
+
+/** Lines in the log file, live or superseded */
+let logLines = 0;
+
+/** Generations currently running, keyed by cache key: { promise, controller, waiters } */
+const inFlight = new Map();
+
+/**
+ * Rewrite the log with only the live entries
+ */
+function compactLog() {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmpPath = `${CACHE_LOG_PATH}.tmp`;
+    const lines = [...cache].map(([key, entry]) => JSON.stringify({ key, ...entry }) + '\n');
+    fs.writeFileSync(tmpPath, lines.join(''));
+    fs.renameSync(tmpPath, CACHE_LOG_PATH);
+    logLines = lines.length;
+  } catch (error) {
+    console.error('[Cache] Failed to compact cache log:', error.message);
+  }
+}
+
+/**
+ * Insert an entry as the newest and drop the oldest past CACHE_MAX_ENTRIES
+ */
+function insertEntry(key, entry) {
+  cache.delete(key);
+  cache.set(key, entry);
+  for (const oldKey of cache.keys()) {
+    if (cache.size <= CACHE_MAX_ENTRIES) break;
+    cache.delete(oldKey);
+  }
+}
+
+/**
+ * Load the legacy store and the log, skipping expired entries and torn lines
+ */
+function loadCache() {
+  const legacy = new JsonStore('generation-cache');
+  const migrated = legacy.entries()
+    .sort((a, b) => a[1].cachedAt - b[1].cachedAt)
+    .map(([key, entry]) => ({ key, ...entry }));
+
+  let records = [];
+  if (fs.existsSync(CACHE_LOG_PATH)) {
+    for (const line of fs.readFileSync(CACHE_LOG_PATH, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch (e) {
+        // A line cut short by a crash mid-write
+      }
+    }
+  }
+  logLines = records.length;
+  records = [...migrated, ...records];
+
+  for (const { key, result, cachedAt } of records) {
+    if (Date.now() - cachedAt <= CACHE_TTL_MS) insertEntry(key, { result, cachedAt });
+  }
+
+  if (migrated.length > 0 || logLines > cache.size) {
+    compactLog();
+    if (migrated.length > 0) fs.rmSync(legacy.filePath, { force: true });
+  }
+}
+
+/**
+ * Normalize a prompt so trivial whitespace differences hit the same entry
+ */
+function normalizePrompt(prompt) {
+  return String(prompt || '').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Hash a normalized request into a cache key
+ * @param {string} type - 'image' or 'video'
+ * @param {Object} params - Request fields that affect the output
+ */
+function buildCacheKey(type, params) {
+  const normalized = { type };
+  for (const key of Object.keys(params).sort()) {
+    const value = key === 'prompt' ? normalizePrompt(params[key]) : params[key];
+    normalized[key] = value ?? null;
+  }
+  return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+}
+
+/**
+ * Get a cached result (null if missing or expired)
+ */
+function getCached(key) {
+  const entry = cache.get(key);
+  if (!entry) return null;
+  if (Date.now() - entry.cachedAt > CACHE_TTL_MS) {
+    cache.delete(key);
+    return null;
+  }
+  return entry.result;
+}
+
+/**
+ * Store a result: one appended line, plus an occasional compaction
+ * Exported as storeCached for results finished outside withCache (resumed videos).
+ */
+function setCached(key, result) {
+  const entry = { result, cachedAt: Date.now() };
+  insertEntry(key, entry);
+
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.appendFileSync(CACHE_LOG_PATH, JSON.stringify({ key, ...entry }) + '\n');
+    logLines++;
+  } catch (error) {
+    console.error('[Cache] Failed to write cache entry:', error.message);
+  }
+
+  if (logLines > CACHE_MAX_ENTRIES * 2) compactLog();
+}
+
+/**
+ * Start a shared generation for a cache key
+ * It gets its own AbortSignal, aborted only once every waiter has canceled.
+ */
+function startGeneration(key, generate) {
+  const controller = new AbortController();
+  const entry = { controller, waiters: 0 };
+  entry.promise = generate(controller.signal)
+    .then(result => {
+      setCached(key, result);
+      return result;
+    })
+    .finally(() => {
+      if (inFlight.get(key) === entry) inFlight.delete(key);
+    });
+  // Waiters handle the outcome; this keeps a run nobody waits for anymore from going unhandled
+  entry.promise.catch(() => {});
+  inFlight.set(key, entry);
+  return entry;
+}
+
+/**
+ * Wait on a shared generation until it settles or this caller's signal aborts
+ * A caller without a signal can't cancel, so the run is never aborted under it.
+ */
+function waitForGeneration(entry, signal) {
+  entry.waiters++;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      entry.waiters--;
+      if (entry.waiters === 0) entry.controller.abort();
+      reject(new Error('Generation canceled'));
+    };
+    if (signal) {
+      if (signal.aborted) return onAbort();
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    entry.promise.then(resolve, reject).finally(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+    });
+  });
+}
+
+/**
+ * Return a cached result or run the generator and cache what it produces
+ * @param {string} type - 'image' or 'video'
+ * @param {Object} params - Request fields that affect the output
+ * @param {Function} generate - async (signal) => result (must include metadata.cdn_key);
+ *   use the signal it is given, since the run may be shared with other callers
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled=true] - Pass false to bypass the cache
+ * @param {AbortSignal} [options.signal] - Aborting stops waiting; a shared run is
+ *   only canceled once every caller waiting on it has aborted
+ * @returns {Promise<Object>} result with metadata.cache_hit set
+ */
+async function withCache(type, params, generate, options = {}) {
+  const { enabled = true, signal = null } = options;
+
+  if (!enabled) {
+    const result = await generate(signal);
+    return { ...result, metadata: { ...result.metadata, cache_hit: false } };
+  }
+
+  const key = buildCacheKey(type, params);
+  const hit = getCached(key);
+  if (hit) {
+    console.log(`[Cache] Hit for ${type} ${key.substring(0, 12)} → ${hit.metadata?.cdn_key}`);
+    return { ...hit, metadata: { ...hit.metadata, cache_hit: true, cache_key: key } };
+  }
+
+  // A run whose callers all canceled is winding down; start a fresh one
+  let entry = inFlight.get(key);
+  if (!entry || entry.controller.signal.aborted) {
+    entry = startGeneration(key, generate);
+  }
+
+  const result = await waitForGeneration(entry, signal);
+  return { ...result, metadata: { ...result.metadata, cache_hit: false, cache_key: key } };
+}
+
+loadCache();
+
+module.exports = {
+  withCache,
+  buildCacheKey,
+  storeCached: setCached,
+  normalizePrompt
+};
@@ -1,10 +1,10 @@
 /**
  * Grok (xAI) API Service — Standalone for Xona Agent
- * Handles communication with xAI's Grok API for agent capabilities
+ * Handles Grok Imagine image and video generation. Text and vision calls
+ * go through llm.js, which routes each task to xAI or another provider.
  */
 const axios = require('axios');
 
-const DEFAULT_MODEL = 'grok-4-1-fast-non-reasoning';
 const XAI_API_BASE = 'https://api.x.ai/v1';
 
 function getApiKey() {
@@ -15,83 +15,18 @@ function getApiKey() {
 }
 
 /**
- * Make a non-streaming Grok API call (responses endpoint)
+ * Generate images via Grok Imagine
+ * @param {string} prompt - Image prompt
+ * @param {string} [referenceImageUrl] - Source image (uses images/edits)
+ * @param {string} [model='grok-2-image'] - xAI image model
+ * @param {Object} [options]
+ * @param {number} [options.n=1] - Number of images to generate
+ * @returns {Promise<Array<string>>} Image URLs (or data: URIs for b64_json responses)
  */
-async function callGrokApi({
-  message,
-  conversationHistory = [],
-  tools = [],
-  systemInstruction,
-  model = DEFAULT_MODEL
-}) {
+async function generateGrokImages(prompt, referenceImageUrl = null, model = 'grok-2-image', options = {}) {
+  const { n = 1 } = options;
   const apiKey = getApiKey();
 
-  const input = [];
-
-  if (systemInstruction) {
-    input.push({ role: 'system', content: systemInstruction });
-  }
-
-  for (const entry of conversationHistory) {
-    input.push({
-      role: entry.role === 'assistant' ? 'assistant' : 'user',
-      content: entry.content
-    });
-  }
-
-  input.push({ role: 'user', content: message });
-
-  const requestBody = {
-    model,
-    input,
-    tools: tools.length > 0 ? tools : undefined
-  };
-
-  console.log('[Grok] Request with model:', model, '| tools:', tools.length);
-
-  const response = await axios.post(
-    `${XAI_API_BASE}/responses`,
-    requestBody,
-    {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      timeout: 120000
-    }
-  );
-
-  return response.data;
-}
-
-/**
- * Grok Chat Completions (for vision / image analysis)
- */
-async function callGrokChat({ messages, model = 'grok-4-1-fast-reasoning' }) {
-  const apiKey = getApiKey();
-
-  const response = await axios.post(
-    `${XAI_API_BASE}/chat/completions`,
-    { model, messages },
-    {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      timeout: 60000
-    }
-  );
-
-  return response.data;
-}
-
-/**
- * Generate image via Grok Imagine
- */
-async function generateGrokImage(prompt, referenceImageUrl = null) {
-  const apiKey = getApiKey();
-  const model = 'grok-2-image';
-
   let endpoint, requestBody;
 
   if (referenceImageUrl) {
@@ -108,8 +43,9 @@ async function generateGrokImage(prompt, referenceImageUrl = null) {
       prompt: prompt.trim()
     };
   }
+  if (n > 1) requestBody.n = n;
 
-  console.log('[Grok Image] Generating...', referenceImageUrl ? '(with ref)' : '(text-to-image)');
+  console.log('[Grok Image] Generating...', referenceImageUrl ? '(with ref)' : '(text-to-image)', n > 1 ? `x${n}` : '');
 
   const response = await axios.post(endpoint, requestBody, {
     headers: {
@@ -119,25 +55,45 @@ async function generateGrokImage(prompt, referenceImageUrl = null) {
     timeout: 120000
   });
 
-  // Extract URL from response
-  let imageUrl = null;
-  if (response.data?.data && Array.isArray(response.data.data) && response.data.data.length > 0) {
-    imageUrl = response.data.data[0].url || response.data.data[0].b64_json;
+  // Extract URLs from response
+  let imageUrls = [];
+  if (response.data?.data && Array.isArray(response.data.data)) {
+    // b64_json is returned as a data: URI so the upload step can decode it directly
+    imageUrls = response.data.data
+      .map(item => item.url || (item.b64_json ? `data:image/jpeg;base64,${item.b64_json}` : null))
+      .filter(Boolean);
   } else if (response.data?.url) {
-    imageUrl = response.data.url;
+    imageUrls = [response.data.url];
   }
 
-  if (!imageUrl) {
+  if (imageUrls.length === 0) {
     throw new Error('No image URL returned from Grok API');
   }
 
+  return imageUrls;
+}
+
+/**
+ * Generate image via Grok Imagine
+ */
+async function generateGrokImage(prompt, referenceImageUrl = null, model = 'grok-2-image') {
+  const [imageUrl] = await generateGrokImages(prompt, referenceImageUrl, model);
   return imageUrl;
 }
 
+/** Overall deadline for a video generation, measured from request creation */
+const VIDEO_TIMEOUT_MS = (parseInt(process.env.GROK_VIDEO_TIMEOUT_SECONDS) || 300) * 1000;
+
+/** Poll backoff schedule: start fast, grow to a cap */
+const VIDEO_POLL_INITIAL_MS = 2000;
+const VIDEO_POLL_MAX_MS = 15000;
+const VIDEO_POLL_FACTOR = 1.5;
+
 /**
- * Generate video via Grok Video (polling-based)
+ * Create a Grok Video generation request
+ * @returns {Promise<string>} xAI request_id
  */
-async function generateGrokVideo(prompt, options = {}) {
+async function createGrokVideoRequest(prompt, options = {}) {
   const apiKey = getApiKey();
   const model = 'grok-imagine-video';
   const { duration = 10, aspectRatio, imageUrl } = options;
@@ -164,14 +120,41 @@ async function generateGrokVideo(prompt, options = {}) {
     throw new Error('Video generation failed: no request_id');
   }
 
-  const requestId = createResponse.data.request_id;
-  console.log('[Grok Video] request_id:', requestId, '| Polling...');
+  console.log('[Grok Video] request_id:', createResponse.data.request_id);
+  return createResponse.data.request_id;
+}
+
+/**
+ * Poll a Grok Video request until it completes, with backoff
+ * Always checks at least once, even past the deadline, so a request that
+ * finished while nobody was polling still returns its video.
+ * @param {string} requestId - xAI request_id
+ * @param {Object} options
+ * @param {number} options.createdAt - Request creation time (ms), deadline is measured from here
+ * @param {number} options.timeoutMs - Overall deadline (default: GROK_VIDEO_TIMEOUT_SECONDS)
+ * @param {Function} options.onProgress - Progress callback (percent) (optional)
+ * @returns {Promise<string>} Raw video URL
+ */
+async function pollGrokVideo(requestId, options = {}) {
+  const apiKey = getApiKey();
+  const {
+    createdAt = Date.now(),
+    timeoutMs = VIDEO_TIMEOUT_MS,
+    onProgress = () => {}
+  } = options;
 
-  // Poll for completion (max 5 minutes)
-  const maxAttempts = 300;
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    await new Promise(resolve => setTimeout(resolve, 1000));
+  const deadline = createdAt + timeoutMs;
+  let delay = VIDEO_POLL_INITIAL_MS;
+  let attempt = 0;
 
+  console.log(`[Grok Video] Polling ${requestId} (deadline in ${Math.round((deadline - Date.now()) / 1000)}s)...`);
+
+  do {
+    await new Promise(resolve => setTimeout(resolve, Math.min(delay, Math.max(0, deadline - Date.now()))));
+    delay = Math.min(VIDEO_POLL_MAX_MS, Math.round(delay * VIDEO_POLL_FACTOR));
+    attempt++;
+
+    let data;
     try {
       const statusResponse = await axios.get(
         `${XAI_API_BASE}/videos/${requestId}`,
@@ -183,27 +166,50 @@ async function generateGrokVideo(prompt, options = {}) {
           timeout: 15000
         }
       );
-
-      if (statusResponse.data?.video?.url) {
-        console.log('[Grok Video] Generation complete!');
-        return statusResponse.data.video.url;
-      }
-
-      if (attempt % 10 === 0) {
-        console.log(`[Grok Video] Still processing... (attempt ${attempt}/${maxAttempts})`);
-      }
+      data = statusResponse.data;
     } catch (pollError) {
-      if (pollError.response?.status === 404) continue;
-      // Other errors — log but continue
-      if (attempt % 30 === 0) {
+      // 404 while queued, other errors — log but continue
+      if (pollError.response?.status !== 404 && attempt % 5 === 0) {
         console.warn('[Grok Video] Polling error:', pollError.message);
       }
+      continue;
+    }
+
+    if (data?.video?.url) {
+      console.log('[Grok Video] Generation complete!');
+      onProgress(100);
+      return data.video.url;
+    }
+
+    if (['failed', 'expired', 'error'].includes(data?.status)) {
+      const error = new Error(`Video generation ${data.status}`);
+      error.providerStatus = data.status;
+      throw error;
     }
-  }
+
+    // Prefer provider-reported progress, else estimate from elapsed time
+    const reported = Number(data?.progress);
+    const elapsed = ((Date.now() - createdAt) / timeoutMs) * 100;
+    onProgress(Number.isFinite(reported) ? reported : Math.min(95, elapsed));
+
+    if (attempt % 5 === 0) {
+      console.log(`[Grok Video] Still processing ${requestId}... (${Math.round((Date.now() - createdAt) / 1000)}s elapsed)`);
+    }
+  } while (Date.now() < deadline);
 
   throw new Error('Video generation timed out');
 }
 
+/**
+ * Generate video via Grok Video (create + poll)
+ */
+async function generateGrokVideo(prompt, options = {}) {
+  const { onProgress, timeoutMs } = options;
+  const createdAt = Date.now();
+  const requestId = await createGrokVideoRequest(prompt, options);
+  return pollGrokVideo(requestId, { createdAt, timeoutMs, onProgress });
+}
+
 /**
  * Build system instruction for Solana trending agent
  */
@@ -232,62 +238,11 @@ For each item, provide:
 Be concise, filter for quality posts, and focus on the most relevant Solana trending information.`;
 }
 
-/**
- * Extract text content from Grok response
- */
-function extractTextFromResponse(response) {
-  if (!response) return null;
-
-  if (response.output && Array.isArray(response.output)) {
-    for (const item of response.output) {
-      if (item.type === 'message' && item.content && Array.isArray(item.content)) {
-        for (const contentItem of item.content) {
-          if (contentItem.type === 'output_text' && contentItem.text) {
-            return contentItem.text.trim();
-          }
-        }
-      }
-    }
-  }
-
-  if (response.content) {
-    return typeof response.content === 'string' ? response.content : JSON.stringify(response.content);
-  }
-  if (response.text) return response.text;
-
-  return null;
-}
-
-/**
- * Parse JSON from Grok response output
- */
-function parseJsonFromResponse(response) {
-  const text = extractTextFromResponse(response);
-  if (!text) return null;
-
-  try {
-    return JSON.parse(text);
-  } catch {
-    // Try to find JSON in text
-    const jsonMatch = text.match(/(\[[\s\S]*\]|\{[\s\S]*\})/);
-    if (jsonMatch) {
-      try {
-        return JSON.parse(jsonMatch[1]);
-      } catch {
-        return null;
-      }
-    }
-  }
-
-  return null;
-}
-
 module.exports = {
-  callGrokApi,
-  callGrokChat,
   generateGrokImage,
+  generateGrokImages,
   generateGrokVideo,
-  buildTrendingSystemInstruction,
-  extractTextFromResponse,
-  parseJsonFromResponse
+  createGrokVideoRequest,
+  pollGrokVideo,
+  buildTrendingSystemInstruction
 };
@@ -0,0 +1,196 @@
+/**
+ * Image Model Comparison — Standalone for Xona Agent
+ * Runs one prompt across every registered image model in parallel and
+ * composites the results into a labelled side-by-side grid on our CDN
+ */
+const axios = require('axios');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const { generateImage, validateImageRequest } = require('./image-gen');
+const { getModelKeys, getModel, getModelName } = require('./model-registry');
+const { processAndUploadImage, escapeXml } = require('./image-processing');
+const { badRequest } = require('./errors');
+
+/** Grid layout */
+const CELL_SIZE = 768;
+const LABEL_HEIGHT = 64;
+const GAP = 16;
+const BACKGROUND = { r: 12, g: 12, b: 16, alpha: 1 };
+
+/**
+ * Render one grid cell: image (contained) above a model label
+ */
+async function renderCell(result) {
+  const label = `${getModelName(result.model)}${result.success ? ` · ${(result.latency_ms / 1000).toFixed(1)}s` : ' · failed'}`;
+  const labelSvg = Buffer.from(
+    `<svg width="${CELL_SIZE}" height="${LABEL_HEIGHT}" xmlns="http://www.w3.org/2000/svg">
+      <text x="50%" y="42" font-family="sans-serif" font-size="28" fill="#ffffff" text-anchor="middle">${escapeXml(label)}</text>
+    </svg>`
+  );
+
+  const layers = [{ input: labelSvg, top: CELL_SIZE, left: 0 }];
+
+  if (result.success) {
+    const response = await axios.get(result.image_url, { responseType: 'arraybuffer', timeout: 30000 });
+    const image = await sharp(Buffer.from(response.data))
+      .resize(CELL_SIZE, CELL_SIZE, { fit: 'contain', background: BACKGROUND })
+      .toBuffer();
+    layers.unshift({ input: image, top: 0, left: 0 });
+  }
+
+  return sharp({
+    create: { width: CELL_SIZE, height: CELL_SIZE + LABEL_HEIGHT, channels: 4, background: BACKGROUND }
+  }).composite(layers).png().toBuffer();
+}
+
+/**
+ * Composite per-model results into one side-by-side grid and upload it
+ * @returns {Promise<Object>} { url, key, renditions }
+ */
+async function buildComparisonGrid(results) {
+  const cells = await Promise.all(results.map(renderCell));
+  const width = results.length * CELL_SIZE + (results.length + 1) * GAP;
+  const height = CELL_SIZE + LABEL_HEIGHT + 2 * GAP;
+
+  const grid = await sharp({ create: { width, height, channels: 4, background: BACKGROUND } })
+    .composite(cells.map((cell, i) => ({ input: cell, top: GAP, left: GAP + i * (CELL_SIZE + GAP) })))
+    .jpeg({ quality: 90 })
+    .toBuffer();
+
+  const uploadResult = await processAndUploadImage(grid, 'generated', `compare-${uuidv4()}-${Date.now()}`);
+  console.log('[Compare] Grid uploaded to CDN:', uploadResult.url);
+  return uploadResult;
+}
+
+/**
+ * Check a comparison against every selected model's capabilities (400 on anything unsupported)
+ * The requested aspect ratio goes to the models that support it; the rest use their default.
+ * @returns {Object} { models, aspectRatios } — aspectRatios maps model key to the ratio it will use
+ */
+function validateCompareRequest(prompt, options = {}) {
+  const { aspectRatio = null, models: requested = getModelKeys() } = options;
+
+  if (!Array.isArray(requested) || requested.length === 0) {
+    throw badRequest('models must be a non-empty array of model keys');
+  }
+
+  // Each model is generated once; a longer list can only hold unknown keys
+  const models = [...new Set(requested)];
+  if (models.length > getModelKeys().length) {
+    throw badRequest(`models can list at most ${getModelKeys().length} models. Available: ${getModelKeys().join(', ')}`);
+  }
+  const unknown = models.filter(key => !getModel(key));
+  if (unknown.length > 0) {
+    throw badRequest(`Unknown model: ${unknown.join(', ')}. Available: ${getModelKeys().join(', ')}`);
+  }
+  if (aspectRatio && !models.some(key => getModel(key).aspectRatios.includes(aspectRatio))) {
+    throw badRequest(`None of ${models.join(', ')} support aspect ratio ${aspectRatio}`);
+  }
+
+  const aspectRatios = {};
+  for (const model of models) {
+    const supported = getModel(model).aspectRatios.includes(aspectRatio);
+    aspectRatios[model] = validateImageRequest(prompt, { model, aspectRatio: supported ? aspectRatio : null }).aspectRatio;
+  }
+
+  return { models, aspectRatios };
+}
+
+/**
+ * Generate one prompt with every registered model and build a comparison grid
+ * @param {string} prompt - Image prompt
+ * @param {Object} options
+ * @param {string} options.aspectRatio - Aspect ratio (models that don't support it use their default)
+ * @param {Array<string>} options.models - Model keys to compare (default: all registered)
+ * @param {boolean} options.cache - Reuse cached results for identical requests (default: true)
+ * @param {AbortSignal} options.signal - Aborting cancels in-flight Replicate predictions (optional)
+ * @param {Function} options.onProgress - Progress callback (percent, stage) (optional)
+ * @returns {Promise<Object>} { prompt, results, grid_url, grid_cdn_key, grid_renditions, metadata }
+ */
+async function compareImages(prompt, options = {}) {
+  const {
+    aspectRatio = null,
+    cache = true,
+    signal = null,
+    onProgress = () => {}
+  } = options;
+
+  const { models, aspectRatios } = validateCompareRequest(prompt, options);
+
+  console.log(`[Compare] Running "${prompt.substring(0, 60)}" across ${models.length} models...`);
+  onProgress(10, 'generating');
+
+  let finished = 0;
+  const results = await Promise.all(models.map(async (model) => {
+    const startedAt = Date.now();
+    try {
+      const result = await generateImage(prompt, { model, aspectRatio: aspectRatios[model], fallback: false, cache, signal });
+      return {
+        model,
+        name: getModelName(model),
+        aspectRatio: aspectRatios[model],
+        success: true,
+        image_url: result.image_url,
+        cdn_key: result.metadata.cdn_key,
+        renditions: result.renditions || null,
+        latency_ms: Date.now() - startedAt,
+        cache_hit: !!result.metadata.cache_hit,
+        error: null
+      };
+    } catch (error) {
+      console.warn(`[Compare] ${model} failed:`, error.message);
+      return {
+        model,
+        name: getModelName(model),
+        aspectRatio: aspectRatios[model],
+        success: false,
+        image_url: null,
+        cdn_key: null,
+        renditions: null,
+        latency_ms: Date.now() - startedAt,
+        cache_hit: false,
+        error: error.message
+      };
+    } finally {
+      finished++;
+      onProgress(10 + (finished / models.length) * 70, 'generating');
+    }
+  }));
+
+  const succeeded = results.filter(r => r.success);
+  if (succeeded.length === 0) {
+    throw new Error(`All models failed: ${results.map(r => `${r.model}: ${r.error}`).join('; ')}`);
+  }
+
+  // The grid is a bonus — per-model results are still returned if compositing fails
+  onProgress(85, 'compositing');
+  let grid = null;
+  let gridError = null;
+  try {
+    grid = await buildComparisonGrid(results);
+  } catch (error) {
+    console.warn('[Compare] Grid composition failed:', error.message);
+    gridError = error.message;
+  }
+
+  return {
+    prompt,
+    results,
+    grid_url: grid?.url || null,
+    grid_cdn_key: grid?.key || null,
+    grid_renditions: grid?.renditions || null,
+    metadata: {
+      aspectRatio,
+      models,
+      succeeded: succeeded.length,
+      failed: results.length - succeeded.length,
+      grid_error: gridError || undefined,
+      generatedAt: new Date().toISOString()
+    }
+  };
+}
+
+module.exports = {
+  compareImages,
+  validateCompareRequest
+};
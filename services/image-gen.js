@@ -1,158 +1,855 @@
 /**
  * Image Generation Service — Standalone for Xona Agent
- * Supports Replicate models (nano-banana, seedream-4.5) + Grok Imagine
+ * Models come from the model registry; each provider has an adapter below
+ *
+ * Also serves image edits (instruction-based and mask-based inpainting)
+ * through the edit model registry, and prompt-less image tools (upscale,
+ * background removal) whose results record lineage to their source image.
  */
-const Replicate = require('replicate');
-const { generateGrokImage } = require('./grok');
-const uploadService = require('./upload');
+const { generateGrokImage, generateGrokImages } = require('./grok');
+const { getModel, getModelKeys, listModels, getEditModel, getEditModelKeys, listEditModels, getImageTool, listImageTools, GENERATION_PARAMETERS } = require('./model-registry');
+const { processAndUploadImage } = require('./image-processing');
+const { buildProvenance, buildSourceLineage } = require('./provenance');
+const { withCache } = require('./generation-cache');
+const { enhancePrompt } = require('./prompt-enhancer');
+const { resolveImageInput, isValidImageInput } = require('./media-input');
+const { badRequest } = require('./errors');
+const { getErrorStatus, isInputError, recordSuccess, recordFailure, isHealthy } = require('./provider-health');
+const { runPrediction } = require('./replicate-predictions');
 const { v4: uuidv4 } = require('uuid');
 
-const replicate = new Replicate({
-  auth: process.env.REPLICATE_API_TOKEN
-});
-
-// Available models
-const MODELS = {
-  'nano-banana': {
-    replicateId: 'google/nano-banana',
-    description: 'Google Nano Banana — fast, creative AI image generation'
-  },
-  'seedream': {
-    replicateId: 'bytedance/seedream-4.5',
-    description: 'ByteDance Seedream 4.5 — high-quality photorealistic images'
-  },
-  'grok-imagine': {
-    replicateId: null, // Uses Grok API directly
-    description: 'xAI Grok Imagine — creative text-to-image generation'
+/** Edit model used when no model is given (instruction-only / with a mask) */
+const DEFAULT_EDIT_MODEL = 'nano-banana-edit';
+const DEFAULT_MASK_EDIT_MODEL = 'flux-fill';
+
+/** Replicate and most diffusion models take 32-bit seeds */
+const MAX_SEED = 2 ** 31 - 1;
+
+/**
+ * Build provider input from a model's input mapping
+ */
+function buildProviderInput(modelConfig, prompt, options = {}) {
+  const { aspectRatio, referenceImages = [] } = options;
+  const mapping = modelConfig.input;
+  const input = { ...modelConfig.defaults, [mapping.prompt]: prompt };
+
+  if (aspectRatio && mapping.aspectRatio) {
+    input[mapping.aspectRatio] = aspectRatio;
+  }
+
+  // Unsupported references are rejected up front by validateImageRequest
+  if (referenceImages.length > 0) {
+    if (mapping.referenceImages) input[mapping.referenceImages] = referenceImages;
+    else if (mapping.referenceImage) input[mapping.referenceImage] = referenceImages[0];
   }
+
+  // Optional parameters (seed, negativePrompt, numOutputs, ...) only for models that map them
+  for (const name of [...GENERATION_PARAMETERS, 'numOutputs']) {
+    if (options[name] !== undefined && options[name] !== null && mapping[name]) {
+      input[mapping[name]] = options[name];
+    }
+  }
+
+  return input;
+}
+
+/**
+ * Extract image URLs from Replicate output (strings, FileOutput objects or URLs)
+ */
+function extractReplicateUrls(output) {
+  const items = Array.isArray(output) ? output : [output];
+  return items.map(item => {
+    if (typeof item === 'string') return item;
+    if (item && typeof item.url === 'function') return item.url().href;
+    if (item && item.href) return item.href;
+    return item;
+  }).filter(Boolean);
+}
+
+/**
+ * Extract the first image URL from Replicate output
+ */
+function extractReplicateUrl(output) {
+  return extractReplicateUrls(output)[0];
+}
+
+/**
+ * Collect Replicate prediction ids and turn their status into progress stages
+ * @returns {Object} { ids, onPrediction } — pass onPrediction to the adapter
+ */
+function trackPredictions(onProgress, stage) {
+  const ids = new Set();
+  return {
+    ids,
+    onPrediction: (record) => {
+      ids.add(record.id);
+      if (record.status === 'starting') onProgress(15, 'provider queue');
+      else if (record.status === 'processing') onProgress(30, stage);
+    }
+  };
+}
+
+/**
+ * Generate images using Replicate model
+ * @returns {Promise<Array<string>>} Image URLs
+ */
+async function generateWithReplicate(modelConfig, prompt, options = {}) {
+  const { onPrediction, signal } = options;
+  const input = buildProviderInput(modelConfig, prompt, options);
+
+  console.log(`[ImageGen] Generating with ${modelConfig.providerModel}...`);
+  const { output } = await runPrediction(modelConfig.providerModel, input, { onUpdate: onPrediction, signal });
+
+  return extractReplicateUrls(output);
+}
+
+/**
+ * Generate images using xAI (Grok Imagine)
+ * @returns {Promise<Array<string>>} Image URLs
+ */
+async function generateWithXai(modelConfig, prompt, options = {}) {
+  const { referenceImages = [], numOutputs = 1 } = options;
+  return generateGrokImages(prompt, referenceImages[0] || null, modelConfig.providerModel, {
+    n: modelConfig.input.numOutputs ? numOutputs : 1
+  });
+}
+
+/** Provider adapters, keyed by the `provider` field in the model registry */
+const PROVIDER_ADAPTERS = {
+  replicate: generateWithReplicate,
+  xai: generateWithXai
 };
 
 /**
- * Generate image using Replicate model
+ * Run a provider adapter until `numOutputs` images exist
+ *   - seeded models: one run per output with consecutive seeds, so each image
+ *     can be reproduced on its own by passing its seed back
+ *   - models that map numOutputs: a single batched run
+ *   - anything else: repeated runs
+ * @returns {Promise<Array<Object>>} [{ url, seed }] (seed is null if the model takes none)
  */
-async function generateWithReplicate(modelId, prompt, options = {}) {
-  const { aspectRatio = '1:1', referenceImages = [] } = options;
+async function runProviderOutputs(adapter, modelConfig, prompt, options) {
+  const { numOutputs = 1, seed } = options;
+  const mapping = modelConfig.input;
 
-  const input = { prompt, aspect_ratio: aspectRatio };
+  if (mapping.seed) {
+    const firstSeed = seed ?? Math.floor(Math.random() * MAX_SEED);
+    return Promise.all(Array.from({ length: numOutputs }, async (_, i) => {
+      const outputSeed = (firstSeed + i) % (MAX_SEED + 1);
+      const [url] = await adapter(modelConfig, prompt, { ...options, seed: outputSeed, numOutputs: 1 });
+      return { url, seed: outputSeed };
+    }));
+  }
 
-  // Add reference images if supported
-  if (referenceImages.length > 0) {
-    if (modelId === 'google/nano-banana') {
-      input.image_input = referenceImages;
+  if (mapping.numOutputs || numOutputs === 1) {
+    const urls = await adapter(modelConfig, prompt, options);
+    return urls.slice(0, numOutputs).map(url => ({ url, seed: null }));
+  }
+
+  const runs = await Promise.all(Array.from({ length: numOutputs }, () => adapter(modelConfig, prompt, { ...options, numOutputs: 1 })));
+  return runs.map(([url]) => ({ url, seed: null }));
+}
+
+/**
+ * Download a provider result and upload it to our CDN under generated/,
+ * with the real file extension, derivative renditions and provenance
+ * @param {Object} options - { watermark, provenance } (see processAndUploadImage)
+ */
+async function uploadProviderImage(rawImageUrl, baseName, options = {}) {
+  if (!rawImageUrl) {
+    throw new Error('Image generation completed but no URL was returned');
+  }
+
+  console.log('[ImageGen] Raw image URL:', typeof rawImageUrl === 'string' ? rawImageUrl.substring(0, 80) : rawImageUrl);
+
+  let uploadResult;
+  try {
+    uploadResult = await processAndUploadImage(rawImageUrl, 'generated', baseName, options);
+  } catch (error) {
+    throw new Error('Failed to upload image to CDN: ' + error.message);
+  }
+
+  console.log('[ImageGen] Uploaded to CDN:', uploadResult.url);
+  return uploadResult;
+}
+
+/**
+ * Run the provider and upload the result to our CDN (no cache)
+ */
+async function runImageGeneration(modelConfig, prompt, options) {
+  const { aspectRatio, referenceImage, parameters, enhance, watermark, client, signal, onProgress } = options;
+
+  const adapter = PROVIDER_ADAPTERS[modelConfig.provider];
+  if (!adapter) {
+    throw new Error(`No provider adapter for "${modelConfig.provider}" (model: ${modelConfig.key})`);
+  }
+
+  let enhancement = null;
+  if (enhance) {
+    onProgress(5, 'enhancing');
+    enhancement = await enhancePrompt(prompt, { model: modelConfig.key, type: 'image', client });
+  }
+  const providerPrompt = enhancement ? enhancement.prompt : prompt;
+
+  // data: URIs are stored under inputs/ so providers get a fetchable URL
+  const referenceUrl = await resolveImageInput(referenceImage, 'referenceImage');
+
+  onProgress(10, 'generating');
+  const predictions = trackPredictions(onProgress, 'generating');
+  let rawOutputs;
+  try {
+    rawOutputs = await runProviderOutputs(adapter, modelConfig, providerPrompt, {
+      ...parameters,
+      aspectRatio,
+      referenceImages: referenceUrl ? [referenceUrl] : [],
+      onPrediction: predictions.onPrediction,
+      signal
+    });
+    recordSuccess(modelConfig.provider);
+  } catch (error) {
+    // A cancel is not the provider's fault and must not fall back to another model
+    if (signal && signal.aborted) throw error;
+
+    // Input the provider rejected would fail the same way on every model: report it, don't fall back
+    if (isInputError(error)) {
+      error.status = getErrorStatus(error);
+      throw error;
     }
+
+    // Everything else (outage, auth, quota, config, failed prediction) moves on to a fallback model
+    const status = getErrorStatus(error);
+    recordFailure(modelConfig.provider, error);
+    error.status = status >= 500 ? status : 502;
+    error.providerFailure = true;
+    throw error;
+  }
+
+  // Download from provider and upload to our CDN (each output gets its own provenance)
+  onProgress(80, 'uploading');
+  const outputs = await Promise.all(rawOutputs.map(async ({ url, seed }) => {
+    const provenance = buildProvenance({ model: modelConfig.key, provider: modelConfig.provider, prompt });
+    const uploadResult = await uploadProviderImage(url, `${uuidv4()}-${Date.now()}`, { watermark, provenance });
+    return {
+      image_url: uploadResult.url,
+      cdn_key: uploadResult.key,
+      seed,
+      format: uploadResult.format,
+      width: uploadResult.width,
+      height: uploadResult.height,
+      watermarked: uploadResult.watermarked,
+      renditions: uploadResult.renditions,
+      provenance
+    };
+  }));
+  const [first] = outputs;
+
+  return {
+    image_url: first.image_url,
+    model: modelConfig.key,
+    prompt,
+    renditions: first.renditions,
+    outputs,
+    metadata: {
+      model: modelConfig.providerModel,
+      provider: modelConfig.provider,
+      aspectRatio,
+      seed: first.seed,
+      negativePrompt: parameters.negativePrompt || undefined,
+      outputFormat: parameters.outputFormat || undefined,
+      outputQuality: parameters.outputQuality || undefined,
+      numOutputs: outputs.length,
+      generatedAt: new Date().toISOString(),
+      format: first.format,
+      width: first.width,
+      height: first.height,
+      cdn_key: first.cdn_key,
+      watermarked: first.watermarked,
+      provenance: first.provenance,
+      ...(predictions.ids.size > 0 && { prediction_ids: [...predictions.ids] }),
+      ...(enhancement && {
+        original_prompt: enhancement.original_prompt,
+        enhanced_prompt: enhancement.enhanced ? enhancement.prompt : null
+      })
+    }
+  };
+}
+
+/**
+ * Check the optional generation parameters against what the model maps
+ * @returns {Object} Only the parameters that were given
+ */
+function validateParameters(modelConfig, options) {
+  const { seed, negativePrompt, numOutputs = 1, outputFormat, outputQuality } = options;
+  const model = modelConfig.key;
+  const parameters = {};
+
+  const given = { seed, negativePrompt, outputFormat, outputQuality };
+  for (const name of GENERATION_PARAMETERS) {
+    if (given[name] === undefined || given[name] === null) continue;
+    if (!modelConfig.parameters.includes(name)) {
+      const supported = listModels().filter(m => m.parameters.includes(name)).map(m => m.key);
+      throw badRequest(`Model ${model} does not support ${name}${supported.length > 0 ? `. Use: ${supported.join(', ')}` : ''}`);
+    }
+    parameters[name] = given[name];
+  }
+
+  if (!Number.isInteger(numOutputs) || numOutputs < 1 || numOutputs > modelConfig.maxOutputs) {
+    throw badRequest(`numOutputs must be a whole number from 1 to ${modelConfig.maxOutputs} for ${model}`);
+  }
+  if (numOutputs > 1) parameters.numOutputs = numOutputs;
+  if (parameters.seed !== undefined && (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED)) {
+    throw badRequest(`seed must be a whole number from 0 to ${MAX_SEED}`);
+  }
+  if (parameters.negativePrompt !== undefined && (typeof negativePrompt !== 'string' || negativePrompt.length > modelConfig.maxPromptLength)) {
+    throw badRequest(`negativePrompt must be a string of ${modelConfig.maxPromptLength} characters or less`);
+  }
+  if (parameters.outputFormat !== undefined && !modelConfig.outputFormats.includes(outputFormat)) {
+    throw badRequest(`Model ${model} does not support output format ${outputFormat}. Supported: ${modelConfig.outputFormats.join(', ')}`);
+  }
+  if (parameters.outputQuality !== undefined && (!Number.isInteger(outputQuality) || outputQuality < 1 || outputQuality > 100)) {
+    throw badRequest('outputQuality must be a whole number from 1 to 100');
+  }
+
+  return parameters;
+}
+
+/**
+ * Check a generation request against the model's capabilities
+ * Unsupported options are rejected (400) rather than silently dropped.
+ * @param {string} prompt - Image prompt
+ * @param {Object} options - { model, aspectRatio, referenceImage, seed, ... } as passed to generateImage
+ * @returns {Object} { modelConfig, aspectRatio, parameters } with the model's default ratio filled in
+ */
+function validateImageRequest(prompt, options = {}) {
+  const { model = 'nano-banana', aspectRatio = null, referenceImage = null } = options;
+
+  const modelConfig = getModel(model);
+  if (!modelConfig) {
+    throw badRequest(`Unknown model: ${model}. Available: ${getModelKeys().join(', ')}`);
+  }
+  if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
+    throw badRequest('Prompt is required');
+  }
+  if (prompt.length > modelConfig.maxPromptLength) {
+    throw badRequest(`Prompt must be ${modelConfig.maxPromptLength} characters or less for ${model}`);
+  }
+  if (aspectRatio && !modelConfig.aspectRatios.includes(aspectRatio)) {
+    throw badRequest(modelConfig.aspectRatios.length > 0
+      ? `Model ${model} does not support aspect ratio ${aspectRatio}. Supported: ${modelConfig.aspectRatios.join(', ')}`
+      : `Model ${model} does not support choosing an aspect ratio`);
+  }
+  if (referenceImage && !modelConfig.supportsReference) {
+    throw badRequest(`Model ${model} does not support reference images. Use: ${listModels().filter(m => m.supportsReference).map(m => m.key).join(', ')}`);
+  }
+  if (referenceImage && !isValidImageInput(referenceImage)) {
+    throw badRequest('referenceImage must be an http(s) URL or data: URI');
   }
 
-  console.log(`[ImageGen] Generating with ${modelId}...`);
-  const output = await replicate.run(modelId, { input });
+  return {
+    modelConfig,
+    aspectRatio: aspectRatio || modelConfig.defaultAspectRatio,
+    parameters: validateParameters(modelConfig, options)
+  };
+}
+
+/**
+ * Fit a request to a fallback model: keep what it supports, fall back to its
+ * defaults for the rest, and list what changed
+ * @returns {Object|null} { request, adjusted } or null if the model can't take the prompt
+ */
+function adaptRequest(modelConfig, prompt, request) {
+  const { requestedAspectRatio, referenceImage, parameters } = request;
+  const adjusted = [];
 
-  // Extract URL from output
-  let imageUrl = output;
-  if (Array.isArray(output) && output.length > 0) {
-    const first = output[0];
-    if (typeof first === 'string') imageUrl = first;
-    else if (first && typeof first.url === 'function') imageUrl = first.url().href;
-    else if (first && first.href) imageUrl = first.href;
-  } else if (typeof output === 'string') {
-    imageUrl = output;
-  } else if (output && typeof output.url === 'function') {
-    imageUrl = output.url().href;
-  } else if (output && output.href) {
-    imageUrl = output.href;
+  // Only a ratio the caller asked for carries over; the requested model's default doesn't
+  const adapted = { ...request, parameters: {} };
+  if (requestedAspectRatio && !modelConfig.aspectRatios.includes(requestedAspectRatio)) {
+    adapted.aspectRatio = modelConfig.defaultAspectRatio;
+    adjusted.push('aspectRatio');
+  } else {
+    adapted.aspectRatio = requestedAspectRatio || modelConfig.defaultAspectRatio;
+  }
+  if (referenceImage && !modelConfig.supportsReference) {
+    adapted.referenceImage = null;
+    adjusted.push('referenceImage');
+  }
+  for (const [name, value] of Object.entries(parameters)) {
+    if (name === 'numOutputs') {
+      adapted.parameters.numOutputs = Math.min(value, modelConfig.maxOutputs);
+      if (adapted.parameters.numOutputs < value) adjusted.push('numOutputs');
+    } else if (modelConfig.parameters.includes(name) && (name !== 'outputFormat' || modelConfig.outputFormats.includes(value))) {
+      adapted.parameters[name] = value;
+    } else {
+      adjusted.push(name);
+    }
   }
+  if (adapted.parameters.numOutputs === 1) delete adapted.parameters.numOutputs;
 
-  return imageUrl;
+  try {
+    validateImageRequest(prompt, { model: modelConfig.key, aspectRatio: adapted.aspectRatio, referenceImage: adapted.referenceImage, ...adapted.parameters });
+  } catch (error) {
+    return null;
+  }
+  return { request: adapted, adjusted };
+}
+
+/**
+ * Requested model first, then its fallbacks; models whose provider is in
+ * cooldown go last (still tried rather than failing outright)
+ */
+function getFallbackChain(modelConfig) {
+  const chain = [modelConfig, ...modelConfig.fallbacks.map(getModel).filter(Boolean)];
+  const healthy = chain.filter(m => isHealthy(m.provider));
+  return [...healthy, ...chain.filter(m => !healthy.includes(m))];
 }
 
 /**
  * Generate image and upload to CDN
+ * If the model's provider fails, its `fallbacks` are tried in order; the
+ * result's `model` is the one that actually produced the image and
+ * `metadata.fallback` lists the failed attempts, models skipped because their
+ * provider was cooling down, and options the fallback couldn't honour.
  * @param {string} prompt - Image prompt
  * @param {Object} options
- * @param {string} options.model - Model key: 'nano-banana', 'seedream', 'grok-imagine'
- * @param {string} options.aspectRatio - Aspect ratio
- * @param {string} options.referenceImage - Reference image URL (optional)
- * @returns {Promise<Object>} { image_url, model, prompt, metadata }
+ * @param {string} options.model - Model key from the model registry (e.g. 'nano-banana')
+ * @param {string} options.aspectRatio - One of the model's aspectRatios (default: the model's defaultAspectRatio)
+ * @param {string} options.referenceImage - Reference image URL or base64 data: URI; model must support references (optional)
+ * @param {number} options.seed - Seed for reproducible output; with numOutputs > 1, output i uses seed + i (optional)
+ * @param {string} options.negativePrompt - What the image should not contain (optional)
+ * @param {number} options.numOutputs - Number of images, up to the model's maxOutputs (default: 1)
+ * @param {string} options.outputFormat - One of the model's outputFormats (optional)
+ * @param {number} options.outputQuality - Provider encode quality, 1-100 (optional)
+ * @param {boolean} options.enhance - Rewrite the prompt for this model via Grok first (default: false)
+ * @param {Object} options.client - Caller identity for moderation logs of the rewritten prompt (optional)
+ * @param {boolean} options.watermark - Stamp the WATERMARK_TEXT overlay (default: false)
+ * @param {boolean} options.fallback - Try the model's fallback chain if its provider fails (default: true)
+ * @param {boolean} options.cache - Reuse a cached result for an identical request (default: true)
+ * @param {AbortSignal} options.signal - Aborting cancels in-flight Replicate predictions (optional)
+ * @param {Function} options.onProgress - Progress callback (percent, stage) (optional)
+ * @returns {Promise<Object>} { image_url, model, prompt, renditions, outputs: [{ image_url, cdn_key, seed, ... }], metadata }
  */
 async function generateImage(prompt, options = {}) {
   const {
     model = 'nano-banana',
-    aspectRatio = '1:1',
-    referenceImage = null
+    referenceImage = null,
+    enhance = false,
+    watermark = false,
+    fallback = true,
+    cache = true,
+    client,
+    signal = null,
+    onProgress = () => {}
   } = options;
 
-  if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
-    throw new Error('Prompt is required');
+  const { modelConfig, aspectRatio, parameters } = validateImageRequest(prompt, { ...options, model });
+  const requested = { aspectRatio, requestedAspectRatio: options.aspectRatio || null, referenceImage, parameters, enhance, watermark, client, signal, onProgress };
+
+  const chain = fallback === false ? [modelConfig] : getFallbackChain(modelConfig);
+  const skipped = chain.filter(m => !isHealthy(m.provider)).map(m => m.key);
+  const attempts = [];
+
+  for (const candidate of chain) {
+    const fitted = candidate === modelConfig ? { request: requested, adjusted: [] } : adaptRequest(candidate, prompt, requested);
+    if (!fitted) {
+      attempts.push({ model: candidate.key, provider: candidate.provider, error: 'Model cannot take this prompt' });
+      continue;
+    }
+    const { request, adjusted } = fitted;
+
+    try {
+      // Cached per model actually used, so a fallback result never answers for the requested model
+      const result = await withCache(
+        'image',
+        { prompt, model: candidate.key, aspectRatio: request.aspectRatio, referenceImage: request.referenceImage, ...request.parameters, ...(enhance && { enhance: true }), ...(watermark && { watermark: true }) },
+        (runSignal) => runImageGeneration(candidate, prompt, { ...request, signal: runSignal }),
+        { enabled: cache !== false, signal }
+      );
+
+      if (candidate === modelConfig && attempts.length === 0) {
+        return { ...result, metadata: { ...result.metadata, requested_model: model } };
+      }
+      console.log(`[ImageGen] ${model} unavailable — generated with fallback ${candidate.key}`);
+      return {
+        ...result,
+        metadata: { ...result.metadata, requested_model: model, fallback: { attempts, skipped, adjusted } }
+      };
+    } catch (error) {
+      if (!error.providerFailure || chain.length === 1) throw error;
+      console.warn(`[ImageGen] ${candidate.key} (${candidate.provider}) failed:`, error.message);
+      attempts.push({ model: candidate.key, provider: candidate.provider, error: error.message });
+    }
   }
-  if (prompt.length > 5000) {
-    throw new Error('Prompt must be 5000 characters or less');
+
+  const error = new Error(`Image generation failed on every model: ${attempts.map(a => `${a.model}: ${a.error}`).join('; ')}`);
+  error.status = 502;
+  throw error;
+}
+
+/**
+ * Stamp the watermark onto an already generated image (new CDN file, same provenance)
+ * For pipelines that may still edit an image before it is final.
+ * @param {Object} result - generateImage / editImage result
+ * @returns {Promise<Object>} Result pointing at the watermarked copy
+ */
+async function watermarkImage(result) {
+  const provenance = result.metadata?.provenance ||
+    buildProvenance({ model: result.model, provider: result.metadata?.provider, prompt: result.prompt });
+  const uploadResult = await uploadProviderImage(result.image_url, `${uuidv4()}-${Date.now()}`, { watermark: true, provenance });
+
+  // Only the primary image is stamped; further outputs are dropped
+  const [first = {}] = result.outputs || [];
+  return {
+    ...result,
+    image_url: uploadResult.url,
+    renditions: uploadResult.renditions,
+    outputs: [{ ...first, image_url: uploadResult.url, cdn_key: uploadResult.key, watermarked: true, renditions: uploadResult.renditions, provenance }],
+    metadata: { ...result.metadata, cdn_key: uploadResult.key, watermarked: true, provenance }
+  };
+}
+
+/**
+ * Edit an image using a Replicate model
+ */
+async function editWithReplicate(modelConfig, prompt, options = {}) {
+  const { imageUrl, maskUrl } = options;
+  const mapping = modelConfig.input;
+  const input = { ...modelConfig.defaults, [mapping.prompt]: prompt };
+
+  if (mapping.images) input[mapping.images] = [imageUrl];
+  else input[mapping.image || 'image'] = imageUrl;
+
+  if (maskUrl) {
+    input[mapping.mask || 'mask'] = maskUrl;
   }
 
-  const modelConfig = MODELS[model];
-  if (!modelConfig) {
-    throw new Error(`Unknown model: ${model}. Available: ${Object.keys(MODELS).join(', ')}`);
+  console.log(`[ImageGen] Editing with ${modelConfig.providerModel}${maskUrl ? ' (masked)' : ''}...`);
+  const { output } = await runPrediction(modelConfig.providerModel, input, { onUpdate: options.onPrediction, signal: options.signal });
+
+  return extractReplicateUrl(output);
+}
+
+/**
+ * Edit an image using xAI (images/edits)
+ */
+async function editWithXai(modelConfig, prompt, options = {}) {
+  return generateGrokImage(prompt, options.imageUrl, modelConfig.providerModel);
+}
+
+/** Edit adapters, keyed by the `provider` field in the edit model registry */
+const EDIT_ADAPTERS = {
+  replicate: editWithReplicate,
+  xai: editWithXai
+};
+
+/**
+ * Run the edit provider and upload the result to our CDN (no cache)
+ */
+async function runImageEdit(modelConfig, prompt, options) {
+  const { image, mask, watermark, signal, onProgress } = options;
+
+  const adapter = EDIT_ADAPTERS[modelConfig.provider];
+  if (!adapter) {
+    throw new Error(`No edit adapter for "${modelConfig.provider}" (model: ${modelConfig.key})`);
   }
 
-  let rawImageUrl;
+  const imageUrl = await resolveImageInput(image, 'image');
+  const maskUrl = await resolveImageInput(mask, 'mask');
 
-  if (model === 'grok-imagine') {
-    // Use Grok API
-    rawImageUrl = await generateGrokImage(prompt, referenceImage);
-  } else {
-    // Use Replicate
-    rawImageUrl = await generateWithReplicate(
-      modelConfig.replicateId,
-      prompt,
-      {
-        aspectRatio,
-        referenceImages: referenceImage ? [referenceImage] : []
-      }
-    );
+  onProgress(10, 'editing');
+  const predictions = trackPredictions(onProgress, 'editing');
+  const rawImageUrl = await adapter(modelConfig, prompt, { imageUrl, maskUrl, onPrediction: predictions.onPrediction, signal });
+
+  onProgress(80, 'uploading');
+  const provenance = buildProvenance({ model: modelConfig.key, provider: modelConfig.provider, prompt });
+  const uploadResult = await uploadProviderImage(rawImageUrl, `edit-${uuidv4()}-${Date.now()}`, { watermark, provenance });
+
+  return {
+    image_url: uploadResult.url,
+    model: modelConfig.key,
+    prompt,
+    renditions: uploadResult.renditions,
+    metadata: {
+      model: modelConfig.providerModel,
+      provider: modelConfig.provider,
+      source_image: imageUrl,
+      mask_image: maskUrl,
+      generatedAt: new Date().toISOString(),
+      format: uploadResult.format,
+      width: uploadResult.width,
+      height: uploadResult.height,
+      cdn_key: uploadResult.key,
+      watermarked: uploadResult.watermarked,
+      provenance,
+      ...(predictions.ids.size > 0 && { prediction_ids: [...predictions.ids] })
+    }
+  };
+}
+
+/**
+ * Check an edit request without running it (for async submission)
+ * Resolves the edit model (default: flux-fill with a mask, nano-banana-edit without) and checks mask support.
+ * @returns {Object} { modelConfig }
+ */
+function validateEditRequest(prompt, options = {}) {
+  const { image = null, mask = null, model = mask ? DEFAULT_MASK_EDIT_MODEL : DEFAULT_EDIT_MODEL } = options;
+
+  if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
+    throw badRequest('Prompt is required');
+  }
+  if (prompt.length > 5000) {
+    throw badRequest('Prompt must be 5000 characters or less');
+  }
+  if (!image) {
+    throw badRequest('image is required');
+  }
+  if (!isValidImageInput(image)) {
+    throw badRequest('image must be an http(s) URL or data: URI');
+  }
+  if (mask && !isValidImageInput(mask)) {
+    throw badRequest('mask must be an http(s) URL or data: URI');
   }
 
-  if (!rawImageUrl) {
-    throw new Error('Image generation completed but no URL was returned');
+  const modelConfig = getEditModel(model);
+  if (!modelConfig) {
+    throw badRequest(`Unknown edit model: ${model}. Available: ${getEditModelKeys().join(', ')}`);
+  }
+  if (mask && !modelConfig.supportsMask) {
+    throw badRequest(`Edit model ${model} does not support masks. Use: ${listEditModels().filter(m => m.supportsMask).map(m => m.key).join(', ')}`);
+  }
+  if (!mask && modelConfig.requiresMask) {
+    throw badRequest(`Edit model ${model} requires a mask`);
   }
 
-  console.log('[ImageGen] Raw image URL:', typeof rawImageUrl === 'string' ? rawImageUrl.substring(0, 80) : rawImageUrl);
+  return { modelConfig };
+}
+
+/**
+ * Edit an existing image from an instruction, optionally limited to a mask, and upload to CDN
+ * @param {string} prompt - Edit instruction (e.g. 'Change the headline to read "SOL ATH"')
+ * @param {Object} options
+ * @param {string} options.image - Source image URL or base64 data: URI
+ * @param {string} options.mask - Mask image URL or data: URI; white = area to repaint (optional)
+ * @param {string} options.model - Edit model key (default: flux-fill with a mask, nano-banana-edit without)
+ * @param {boolean} options.watermark - Stamp the WATERMARK_TEXT overlay (default: false)
+ * @param {boolean} options.cache - Reuse a cached result for an identical request (default: true)
+ * @param {AbortSignal} options.signal - Aborting cancels in-flight Replicate predictions (optional)
+ * @param {Function} options.onProgress - Progress callback (percent, stage) (optional)
+ * @returns {Promise<Object>} { image_url, model, prompt, renditions, metadata }
+ */
+async function editImage(prompt, options = {}) {
+  const {
+    image = null,
+    mask = null,
+    watermark = false,
+    cache = true,
+    signal = null,
+    onProgress = () => {}
+  } = options;
+  const { modelConfig } = validateEditRequest(prompt, options);
+  const model = modelConfig.key;
 
-  // Download from provider and upload to our CDN
-  const jobId = uuidv4();
-  const uploadResult = await uploadService.downloadAndUploadImage(
-    rawImageUrl,
-    'generated',
-    `${jobId}-${Date.now()}.jpg`
+  return withCache(
+    'edit',
+    { prompt, model, image, mask, ...(watermark && { watermark: true }) },
+    (runSignal) => runImageEdit(modelConfig, prompt, { image, mask, watermark, signal: runSignal, onProgress }),
+    { enabled: cache !== false, signal }
   );
+}
+
+/**
+ * Run an image tool on Replicate and upload the result to our CDN (no cache)
+ */
+async function runImageTool(toolConfig, options) {
+  const { image, scale, signal, onProgress } = options;
+  const mapping = toolConfig.input;
 
-  if (!uploadResult.success) {
-    throw new Error('Failed to upload image to CDN: ' + uploadResult.message);
+  const imageUrl = await resolveImageInput(image, 'image');
+  const source = buildSourceLineage(imageUrl);
+
+  const input = { ...toolConfig.defaults, [mapping.image]: imageUrl };
+  if (scale && mapping.scale) {
+    input[mapping.scale] = scale;
   }
 
-  console.log('[ImageGen] Uploaded to CDN:', uploadResult.url);
+  onProgress(10, 'processing');
+  const predictions = trackPredictions(onProgress, 'processing');
+  console.log(`[ImageGen] ${toolConfig.key} with ${toolConfig.providerModel}${scale ? ` (${scale}x)` : ''}${source.cdn_key ? ` from ${source.cdn_key}` : ''}...`);
+  const { output } = await runPrediction(toolConfig.providerModel, input, { onUpdate: predictions.onPrediction, signal });
+
+  onProgress(80, 'uploading');
+  const provenance = buildProvenance({ model: toolConfig.key, provider: toolConfig.provider, source });
+  const prefix = toolConfig.key === 'upscale' ? 'upscale' : 'nobg';
+  const uploadResult = await uploadProviderImage(extractReplicateUrl(output), `${prefix}-${uuidv4()}-${Date.now()}`, { provenance });
 
   return {
     image_url: uploadResult.url,
-    model,
-    prompt,
+    operation: toolConfig.key,
+    renditions: uploadResult.renditions,
     metadata: {
-      model: modelConfig.replicateId || 'grok-2-image',
-      aspectRatio,
+      operation: toolConfig.key,
+      model: toolConfig.providerModel,
+      provider: toolConfig.provider,
+      ...(scale && { scale }),
+      source_image: imageUrl,
+      source,
       generatedAt: new Date().toISOString(),
-      cdn_key: uploadResult.key
+      format: uploadResult.format,
+      width: uploadResult.width,
+      height: uploadResult.height,
+      cdn_key: uploadResult.key,
+      provenance,
+      ...(predictions.ids.size > 0 && { prediction_ids: [...predictions.ids] })
     }
   };
 }
 
+/**
+ * Look up a configured image tool and check the source image
+ */
+function validateToolRequest(operation, image) {
+  const toolConfig = getImageTool(operation);
+  if (!toolConfig) {
+    throw new Error(`Image tool "${operation}" is not configured`);
+  }
+  if (!image) {
+    throw badRequest('image is required');
+  }
+  if (!isValidImageInput(image)) {
+    throw badRequest('image must be an http(s) URL or data: URI');
+  }
+  return toolConfig;
+}
+
+/**
+ * Check an upscale request without running it (for async submission)
+ * @returns {Object} { toolConfig, scale } with the default scale filled in
+ */
+function validateUpscaleRequest(image, options = {}) {
+  const toolConfig = validateToolRequest('upscale', image);
+  const { scales } = toolConfig;
+
+  let scale = options.scale ?? null;
+  if (scale !== null && !scales) {
+    throw badRequest(`${toolConfig.name} does not support choosing a scale`);
+  }
+  if (scales) {
+    scale = scale ?? scales.default;
+    if (!Number.isInteger(scale) || scale < scales.min || scale > scales.max) {
+      throw badRequest(`scale must be an integer from ${scales.min} to ${scales.max}`);
+    }
+  }
+
+  return { toolConfig, scale };
+}
+
+/**
+ * Upscale an image and upload the result to CDN
+ * @param {string} image - Source image: a CDN URL we produced, any http(s) URL or base64 data: URI
+ * @param {Object} [options]
+ * @param {number} [options.scale] - Upscale factor (default and range from config/image-tools.json)
+ * @param {boolean} [options.cache=true] - Reuse a cached result for an identical request
+ * @param {AbortSignal} [options.signal] - Aborting cancels the in-flight Replicate prediction
+ * @param {Function} [options.onProgress] - Progress callback (percent, stage)
+ * @returns {Promise<Object>} { image_url, operation, renditions, metadata } — metadata.source holds the lineage
+ */
+async function upscaleImage(image, options = {}) {
+  const { cache = true, signal = null, onProgress = () => {} } = options;
+  const { toolConfig, scale } = validateUpscaleRequest(image, options);
+
+  return withCache(
+    'upscale',
+    { image, scale },
+    (runSignal) => runImageTool(toolConfig, { image, scale, signal: runSignal, onProgress }),
+    { enabled: cache !== false, signal }
+  );
+}
+
+/**
+ * Check a background removal request without running it (for async submission)
+ */
+function validateRemoveBackgroundRequest(image) {
+  return { toolConfig: validateToolRequest('remove-background', image) };
+}
+
+/**
+ * Cut the subject out of an image onto a transparent background and upload to CDN
+ * @param {string} image - Source image: a CDN URL we produced, any http(s) URL or base64 data: URI
+ * @param {Object} [options] - { cache, signal, onProgress } (see upscaleImage)
+ * @returns {Promise<Object>} { image_url, operation, renditions, metadata } — metadata.source holds the lineage
+ */
+async function removeBackground(image, options = {}) {
+  const { cache = true, signal = null, onProgress = () => {} } = options;
+  const { toolConfig } = validateRemoveBackgroundRequest(image);
+
+  return withCache(
+    'remove-background',
+    { image },
+    (runSignal) => runImageTool(toolConfig, { image, signal: runSignal, onProgress }),
+    { enabled: cache !== false, signal }
+  );
+}
+
 /**
  * Get available models
  */
 function getModels() {
-  return Object.entries(MODELS).map(([key, config]) => ({
-    key,
+  return listModels().map(config => ({
+    key: config.key,
+    name: config.name,
+    description: config.description,
+    provider: config.provider,
+    providerModel: config.providerModel,
+    replicateId: config.provider === 'replicate' ? config.providerModel : null,
+    aspectRatios: config.aspectRatios,
+    defaultAspectRatio: config.defaultAspectRatio,
+    maxPromptLength: config.maxPromptLength,
+    supportsReference: config.supportsReference,
+    parameters: config.parameters,
+    outputFormats: config.outputFormats,
+    maxOutputs: config.maxOutputs
+  }));
+}
+
+/**
+ * Get available edit models
+ */
+function getEditModels() {
+  return listEditModels().map(config => ({
+    key: config.key,
+    name: config.name,
+    description: config.description,
+    provider: config.provider,
+    providerModel: config.providerModel,
+    supportsMask: config.supportsMask,
+    requiresMask: config.requiresMask
+  }));
+}
+
+/**
+ * Get configured image tools (upscale, background removal)
+ */
+function getImageTools() {
+  return listImageTools().map(config => ({
+    key: config.key,
+    name: config.name,
     description: config.description,
-    replicateId: config.replicateId
+    provider: config.provider,
+    providerModel: config.providerModel,
+    scales: config.scales
   }));
 }
 
 module.exports = {
   generateImage,
-  getModels
+  validateImageRequest,
+  editImage,
+  validateEditRequest,
+  watermarkImage,
+  upscaleImage,
+  validateUpscaleRequest,
+  removeBackground,
+  validateRemoveBackgroundRequest,
+  getModels,
+  getEditModels,
+  getImageTools
 };
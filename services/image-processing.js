@@ -0,0 +1,252 @@
+/**
+ * Image Post-Processing Service — Standalone for Xona Agent
+ * Stores generated images under their real format and uploads derivative
+ * renditions (thumbnail, web-optimized WebP, 16:9 social crop) alongside
+ *
+ * Providers don't always return what their URL or headers claim, so the
+ * format is sniffed from the bytes before anything is uploaded.
+ *
+ * Optionally stamps a deterministic watermark and embeds provenance (EXIF)
+ * into the original before upload, and records it for GET /provenance/:cdnKey.
+ * Only a watermark re-encodes the original; provenance alone is written into
+ * the file as-is.
+ */
+const axios = require('axios');
+const sharp = require('sharp');
+const uploadService = require('./upload');
+const { recordProvenance, sha256 } = require('./provenance');
+const { embedExif } = require('./exif');
+
+const WATERMARK_TEXT = process.env.WATERMARK_TEXT || 'Made with Xona';
+
+/** Re-encode settings when the original has to be redrawn (watermark) */
+const REENCODE_OPTIONS = {
+  jpeg: { quality: 95 },
+  png: {},
+  webp: { quality: 95 }
+};
+
+/** Magic-byte signatures for the formats we accept */
+const IMAGE_FORMATS = [
+  { format: 'jpeg', ext: 'jpg', contentType: 'image/jpeg', matches: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { format: 'png', ext: 'png', contentType: 'image/png', matches: b => b.readUInt32BE(0) === 0x89504e47 },
+  { format: 'webp', ext: 'webp', contentType: 'image/webp', matches: b => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' },
+  { format: 'gif', ext: 'gif', contentType: 'image/gif', matches: b => b.toString('ascii', 0, 4) === 'GIF8' }
+];
+
+/**
+ * Derivative renditions, uploaded next to the original as `${baseName}-${suffix}.${ext}`
+ *   - thumbnail: small preview for lists and cards
+ *   - web:       web-optimized WebP for embedding (forum posts)
+ *   - social:    fixed 16:9 crop for link previews and social posts
+ */
+const RENDITIONS = {
+  thumbnail: { suffix: 'thumb', resize: { width: 320, height: 320, fit: 'inside' }, format: 'webp', options: { quality: 75 } },
+  web: { suffix: 'web', resize: { width: 1600, height: 1600, fit: 'inside', withoutEnlargement: true }, format: 'webp', options: { quality: 82 } },
+  social: { suffix: 'social', resize: { width: 1200, height: 675, fit: 'cover', position: 'attention' }, format: 'jpeg', options: { quality: 85, mozjpeg: true } }
+};
+
+/**
+ * Escape text for SVG overlays
+ */
+function escapeXml(text) {
+  return String(text).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
+
+/**
+ * Detect an image format from its leading bytes
+ * @param {Buffer} buffer
+ * @returns {Object|null} { format, ext, contentType } or null if not a supported image
+ */
+function sniffImageFormat(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  const match = IMAGE_FORMATS.find(f => f.matches(buffer));
+  return match ? { format: match.format, ext: match.ext, contentType: match.contentType } : null;
+}
+
+/**
+ * Load image bytes from a URL, base64 data: URI or buffer
+ */
+async function loadImageBytes(source) {
+  if (Buffer.isBuffer(source)) return source;
+
+  if (typeof source === 'string' && source.startsWith('data:')) {
+    const decoded = uploadService.parseDataUri(source);
+    if (!decoded) throw new Error('Invalid data URI (expected base64)');
+    return decoded.buffer;
+  }
+
+  return uploadService.retry(async () => {
+    const response = await axios.get(source, { responseType: 'arraybuffer', timeout: 30000 });
+    return Buffer.from(response.data);
+  }, 3, 1000);
+}
+
+/**
+ * Watermark overlay: WATERMARK_TEXT on a translucent pill, bottom-right,
+ * scaled to the image so it looks the same at every size
+ */
+function renderWatermark(width, height) {
+  const fontSize = Math.max(14, Math.round(Math.min(width, height) * 0.032));
+  const padX = Math.round(fontSize * 0.75);
+  const padY = Math.round(fontSize * 0.45);
+  const boxWidth = Math.min(width, Math.round(fontSize * 0.66 * WATERMARK_TEXT.length) + padX * 2);
+  const boxHeight = fontSize + padY * 2;
+  const margin = Math.round(fontSize * 0.8);
+
+  const svg = `<svg width="${boxWidth}" height="${boxHeight}" xmlns="http://www.w3.org/2000/svg">
+    <rect width="100%" height="100%" rx="${Math.round(boxHeight / 2)}" fill="#000000" fill-opacity="0.45"/>
+    <text x="50%" y="${padY + Math.round(fontSize * 0.82)}" font-family="sans-serif" font-size="${fontSize}" font-weight="600" fill="#ffffff" fill-opacity="0.92" text-anchor="middle">${escapeXml(WATERMARK_TEXT)}</text>
+  </svg>`;
+
+  return {
+    input: Buffer.from(svg),
+    left: Math.max(0, width - boxWidth - margin),
+    top: Math.max(0, height - boxHeight - margin)
+  };
+}
+
+/**
+ * Provenance as EXIF tags
+ */
+function provenanceExif(provenance) {
+  return {
+    IFD0: {
+      ImageDescription: JSON.stringify(provenance),
+      Artist: provenance.agent,
+      Software: provenance.agent
+    }
+  };
+}
+
+/**
+ * Rewrite the original with a watermark and/or embedded provenance (same format)
+ * A watermark means one re-encode, with the EXIF written in the same pass;
+ * provenance alone is spliced in without decoding the image.
+ * GIFs are left untouched so animation survives.
+ */
+async function applyPostProcessing(buffer, detected, options) {
+  const { watermark, provenance } = options;
+  if ((!watermark && !provenance) || !REENCODE_OPTIONS[detected.format]) {
+    return { buffer, watermarked: false };
+  }
+
+  if (!watermark) {
+    return { buffer: await embedExif(buffer, detected.format, provenanceExif(provenance)), watermarked: false };
+  }
+
+  const { width, height } = await sharp(buffer).metadata();
+  let image = sharp(buffer).composite([renderWatermark(width, height)]);
+  if (provenance) {
+    image = image.withExifMerge(provenanceExif(provenance));
+  }
+
+  const output = await image.toFormat(detected.format, REENCODE_OPTIONS[detected.format]).toBuffer();
+  return { buffer: output, watermarked: true };
+}
+
+/**
+ * Render and upload one derivative rendition
+ */
+async function uploadRendition(buffer, folder, baseName, spec) {
+  const ext = spec.format === 'jpeg' ? 'jpg' : spec.format;
+  const output = await sharp(buffer, { animated: false })
+    .rotate()
+    .resize(spec.resize)
+    .toFormat(spec.format, spec.options)
+    .toBuffer({ resolveWithObject: true });
+
+  const result = await uploadService.uploadBuffer(output.data, folder, `${baseName}-${spec.suffix}.${ext}`, `image/${spec.format}`);
+  return {
+    url: result.url,
+    key: result.key,
+    contentType: `image/${spec.format}`,
+    width: output.info.width,
+    height: output.info.height,
+    bytes: output.info.size
+  };
+}
+
+/**
+ * Store an image under its real format and upload its renditions
+ * Renditions are best-effort: one failing doesn't fail the upload.
+ * @param {string|Buffer} source - Provider URL, base64 data: URI or image bytes
+ * @param {string} folder - CDN folder (e.g. 'generated')
+ * @param {string} baseName - File name without extension
+ * @param {Object} [options]
+ * @param {boolean} [options.watermark=false] - Stamp WATERMARK_TEXT bottom-right
+ * @param {Object} [options.provenance] - Record from buildProvenance (embedded as EXIF and stored)
+ * @returns {Promise<Object>} { url, key, contentType, format, width, height, watermarked, renditions }
+ */
+async function processAndUploadImage(source, folder, baseName, options = {}) {
+  const { watermark = false, provenance = null } = options;
+
+  const raw = await loadImageBytes(source);
+  const detected = sniffImageFormat(raw);
+  if (!detected) {
+    throw new Error('Image data is not a supported format (jpeg, png, webp, gif)');
+  }
+
+  const processed = await applyPostProcessing(raw, detected, { watermark, provenance });
+  const buffer = processed.buffer;
+
+  const original = await uploadService.uploadBuffer(buffer, folder, `${baseName}.${detected.ext}`, detected.contentType);
+
+  let width = null;
+  let height = null;
+  try {
+    ({ width, height } = await sharp(buffer).metadata());
+  } catch (error) {
+    console.warn('[ImageProcessing] Could not read image dimensions:', error.message);
+  }
+
+  const renditions = {
+    original: { url: original.url, key: original.key, contentType: detected.contentType, width, height, bytes: buffer.length }
+  };
+
+  await Promise.all(Object.entries(RENDITIONS).map(async ([name, spec]) => {
+    try {
+      renditions[name] = await uploadRendition(buffer, folder, baseName, spec);
+    } catch (error) {
+      console.warn(`[ImageProcessing] ${name} rendition failed:`, error.message);
+    }
+  }));
+
+  if (provenance) {
+    recordProvenance(
+      Object.values(renditions).map(r => r.key),
+      provenance,
+      { sha256: sha256(buffer), contentType: detected.contentType }
+    );
+  }
+
+  console.log(`[ImageProcessing] Stored ${detected.format} ${width}x${height} with ${Object.keys(renditions).length - 1} renditions${processed.watermarked ? ' (watermarked)' : ''}`);
+
+  return {
+    success: true,
+    url: original.url,
+    key: original.key,
+    contentType: detected.contentType,
+    format: detected.format,
+    width,
+    height,
+    watermarked: processed.watermarked,
+    renditions
+  };
+}
+
+/**
+ * Best URL for embedding an image result in posts (web rendition, else original)
+ * @param {Object} result - Any result carrying image_url and optional renditions
+ */
+function getEmbedUrl(result) {
+  return result?.renditions?.web?.url || result?.image_url || null;
+}
+
+module.exports = {
+  sniffImageFormat,
+  escapeXml,
+  processAndUploadImage,
+  getEmbedUrl,
+  RENDITIONS
+};
@@ -0,0 +1,255 @@
+/**
+ * Generation Job Queue — Standalone for Xona Agent
+ * Runs image/video generation in the background with a bounded worker pool
+ *
+ * Submitting returns a job id immediately; clients poll GET /jobs/:id or
+ * receive a signed webhook on their callbackUrl when the job finishes. Jobs
+ * can be canceled; running image jobs cancel their Replicate predictions.
+ */
+const { v4: uuidv4 } = require('uuid');
+const { generateImage, editImage, upscaleImage, removeBackground } = require('./image-gen');
+const { generateVideo } = require('./video-gen');
+const { compareImages } = require('./image-compare');
+const { generateStoryboard } = require('./storyboard');
+const { animate } = require('./animate');
+const { generateTokenArt } = require('./token-art');
+const { setSignalOwner } = require('./replicate-predictions');
+const { validateCallbackUrl, createCallbackSecret, postCallback } = require('./callback-url');
+const { badRequest } = require('./errors');
+
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+const JOB_MAX_QUEUED = parseInt(process.env.JOB_MAX_QUEUED) || 100;
+const JOB_TTL_MS = (parseInt(process.env.JOB_TTL_MINUTES) || 60) * 60 * 1000;
+
+/** Registered job handlers, keyed by job type */
+const handlers = {
+  image: ({ prompt, ...options }, { onProgress, signal }) => generateImage(prompt, { ...options, onProgress, signal }),
+  edit: ({ prompt, ...options }, { onProgress, signal }) => editImage(prompt, { ...options, onProgress, signal }),
+  upscale: ({ image, ...options }, { onProgress, signal }) => upscaleImage(image, { ...options, onProgress, signal }),
+  'remove-background': ({ image, ...options }, { onProgress, signal }) => removeBackground(image, { ...options, onProgress, signal }),
+  video: ({ prompt, ...options }, { onProgress }) => generateVideo(prompt, { ...options, onProgress }),
+  storyboard: ({ script, ...options }, { onProgress, signal }) => generateStoryboard(script, { ...options, onProgress, signal }),
+  animate: ({ prompt, ...options }, { onProgress, signal }) => animate(prompt, { ...options, onProgress, signal }),
+  compare: ({ prompt, ...options }, { onProgress, signal }) => compareImages(prompt, { ...options, onProgress, signal }),
+  'token-art': ({ ca, ...options }, { onProgress, signal }) => generateTokenArt(ca, { ...options, onProgress, signal })
+};
+
+/** All known jobs (queued, running and recently finished) */
+const jobs = new Map();
+
+/** Job ids waiting for a free worker */
+const queue = [];
+let running = 0;
+
+/**
+ * Register a handler for a job type
+ * @param {string} type - Job type (e.g. 'image', 'video')
+ * @param {Function} handler - async (params, { onProgress, signal }) => result
+ */
+function registerJobType(type, handler) {
+  handlers[type] = handler;
+}
+
+/**
+ * Public view of a job (no internal params)
+ */
+function serializeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    stage: job.stage,
+    url: job.result?.image_url || job.result?.video_url || job.result?.grid_url || null,
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt
+  };
+}
+
+/**
+ * Submit a new job
+ * @param {string} type - Registered job type
+ * @param {Object} params - Handler params
+ * @param {Object} [options]
+ * @param {string} [options.callbackUrl] - Public http(s) URL notified on completion
+ * @returns {Promise<Object>} Serialized job, plus callbackSecret (shown only here) when a callbackUrl is set
+ */
+async function submitJob(type, params, options = {}) {
+  if (!handlers[type]) {
+    throw badRequest(`Unknown job type: ${type}. Available: ${Object.keys(handlers).join(', ')}`);
+  }
+  if (options.callbackUrl !== undefined && options.callbackUrl !== null && typeof options.callbackUrl !== 'string') {
+    throw badRequest('callbackUrl must be an http(s) URL');
+  }
+  const callbackUrl = options.callbackUrl ? await validateCallbackUrl(options.callbackUrl) : null;
+  const callbackSecret = callbackUrl ? createCallbackSecret() : null;
+
+  if (queue.length >= JOB_MAX_QUEUED) {
+    const error = new Error('Job queue is full, try again later');
+    error.status = 503;
+    throw error;
+  }
+
+  const job = {
+    id: uuidv4(),
+    type,
+    params,
+    callbackUrl,
+    callbackSecret,
+    status: 'queued',
+    progress: 0,
+    stage: 'queued',
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    completedAt: null,
+    controller: new AbortController()
+  };
+
+  setSignalOwner(job.controller.signal, job.id);
+  jobs.set(job.id, job);
+  queue.push(job.id);
+  console.log(`[Jobs] Queued ${type} job ${job.id} (queue: ${queue.length}, running: ${running}/${JOB_CONCURRENCY})`);
+
+  drainQueue();
+  return { ...serializeJob(job), ...(callbackSecret && { callbackSecret }) };
+}
+
+/**
+ * Get a job by id (null if unknown or expired)
+ */
+function getJob(id) {
+  const job = jobs.get(id);
+  return job ? serializeJob(job) : null;
+}
+
+/**
+ * Cancel a queued or running job
+ * Queued jobs are dropped; running jobs are signalled and finish as 'canceled'
+ * once their provider calls stop (video jobs can't be stopped mid-generation;
+ * storyboards stop before their next scene).
+ * @returns {Object|null} Serialized job, or null if unknown or expired
+ */
+function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  if (job.completedAt) {
+    const error = new Error(`Job already ${job.status}`);
+    error.status = 409;
+    throw error;
+  }
+
+  job.controller.abort();
+  const queued = queue.indexOf(id);
+  if (queued !== -1) {
+    queue.splice(queued, 1);
+    job.status = 'canceled';
+    job.stage = 'canceled';
+    job.completedAt = new Date().toISOString();
+    if (job.callbackUrl) sendCallback(job);
+  } else {
+    job.stage = 'canceling';
+  }
+
+  console.log(`[Jobs] Cancel requested for ${job.type} job ${id}`);
+  return serializeJob(job);
+}
+
+/**
+ * Start queued jobs while workers are free
+ */
+function drainQueue() {
+  while (running < JOB_CONCURRENCY && queue.length > 0) {
+    const job = jobs.get(queue.shift());
+    if (job) runJob(job);
+  }
+}
+
+/**
+ * Run a single job and notify its callback
+ */
+async function runJob(job) {
+  running++;
+  job.status = 'running';
+  job.stage = 'running';
+  job.progress = 5;
+  job.startedAt = new Date().toISOString();
+
+  const { signal } = job.controller;
+  const onProgress = (progress, stage) => {
+    if (signal.aborted) return;
+    job.progress = Math.max(job.progress, Math.min(99, Math.round(progress)));
+    if (stage) job.stage = stage;
+  };
+
+  try {
+    job.result = await handlers[job.type](job.params, { onProgress, signal });
+    job.status = 'succeeded';
+    job.stage = 'done';
+    job.progress = 100;
+    console.log(`[Jobs] ${job.type} job ${job.id} succeeded`);
+  } catch (error) {
+    job.status = signal.aborted ? 'canceled' : 'failed';
+    job.stage = job.status;
+    job.error = error.message;
+    console.error(`[Jobs] ${job.type} job ${job.id} ${job.status}:`, error.message);
+  } finally {
+    job.completedAt = new Date().toISOString();
+    running--;
+    drainQueue();
+  }
+
+  if (job.callbackUrl) {
+    await sendCallback(job);
+  }
+}
+
+/**
+ * POST the finished job, signed, to its callbackUrl (best effort, 3 attempts)
+ */
+async function sendCallback(job) {
+  const payload = serializeJob(job);
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    try {
+      await postCallback(job.callbackUrl, payload, job.callbackSecret);
+      console.log(`[Jobs] Callback delivered for ${job.id}`);
+      return;
+    } catch (error) {
+      console.warn(`[Jobs] Callback attempt ${attempt} failed for ${job.id}:`, error.message);
+      if (attempt < 3) await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, attempt - 1)));
+    }
+  }
+}
+
+/**
+ * Drop finished jobs older than JOB_TTL_MS
+ */
+function pruneJobs() {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const [id, job] of jobs) {
+    if (job.completedAt && new Date(job.completedAt).getTime() < cutoff) {
+      jobs.delete(id);
+    }
+  }
+}
+
+setInterval(pruneJobs, 5 * 60 * 1000).unref();
+
+/**
+ * Queue/worker stats
+ */
+function getJobStats() {
+  return { queued: queue.length, running, concurrency: JOB_CONCURRENCY, tracked: jobs.size };
+}
+
+module.exports = {
+  registerJobType,
+  submitJob,
+  getJob,
+  cancelJob,
+  getJobStats
+};
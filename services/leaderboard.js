@@ -0,0 +1,223 @@
+/**
+ * Model Leaderboard — Standalone for Xona Agent
+ * Blind head-to-head matches between image models, judged by Grok vision,
+ * with Elo ratings persisted in DATA_DIR/model-leaderboard.json
+ */
+const { callLlmStructured } = require('./llm');
+const { generateImage } = require('./image-gen');
+const { getShowcaseModelKeys, getModelKeys, getModelName } = require('./model-registry');
+const { JsonStore } = require('./store');
+
+const INITIAL_RATING = 1500;
+const K_FACTOR = 32;
+const MAX_RECENT_MATCHES = 200;
+
+const leaderboardStore = new JsonStore('model-leaderboard');
+
+/**
+ * Get the stored rating record for a model (defaults for unrated models)
+ */
+function getRating(model) {
+  const ratings = leaderboardStore.get('ratings') || {};
+  return ratings[model] || { rating: INITIAL_RATING, matches: 0, wins: 0, losses: 0, ties: 0 };
+}
+
+/**
+ * Expected score of A against B under Elo
+ */
+function expectedScore(ratingA, ratingB) {
+  return 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+}
+
+/**
+ * Apply a match outcome to both models' ratings and persist it
+ * @param {string} modelA
+ * @param {string} modelB
+ * @param {number} scoreA - 1 (A wins), 0 (B wins) or 0.5 (tie)
+ * @returns {Object} { [modelA]: { before, after }, [modelB]: { before, after } }
+ */
+function applyResult(modelA, modelB, scoreA) {
+  const ratings = leaderboardStore.get('ratings') || {};
+  const a = getRating(modelA);
+  const b = getRating(modelB);
+
+  const expectedA = expectedScore(a.rating, b.rating);
+  const deltaA = K_FACTOR * (scoreA - expectedA);
+
+  const record = (entry, delta, score) => ({
+    rating: Math.round((entry.rating + delta) * 10) / 10,
+    matches: entry.matches + 1,
+    wins: entry.wins + (score === 1 ? 1 : 0),
+    losses: entry.losses + (score === 0 ? 1 : 0),
+    ties: entry.ties + (score === 0.5 ? 1 : 0)
+  });
+
+  ratings[modelA] = record(a, deltaA, scoreA);
+  ratings[modelB] = record(b, -deltaA, 1 - scoreA);
+  leaderboardStore.set('ratings', ratings);
+
+  return {
+    [modelA]: { before: a.rating, after: ratings[modelA].rating },
+    [modelB]: { before: b.rating, after: ratings[modelB].rating }
+  };
+}
+
+/**
+ * Ask Grok vision to pick the better of two images, blind to the models
+ * @returns {Promise<Object>} { winner: 'A' | 'B' | 'tie', reason }
+ */
+async function judgePair(prompt, imageUrlA, imageUrlB) {
+  const result = await callLlmStructured('leaderboard-judge', {
+    messages: [
+      {
+        role: 'system',
+        content: 'You are an impartial judge of AI-generated images. Compare two images made from the same prompt. Judge prompt adherence first, then overall quality (composition, detail, text rendering, artifacts). Return ONLY valid JSON.'
+      },
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: `Prompt: "${prompt}"\n\nImage A:` },
+          { type: 'image_url', image_url: { url: imageUrlA } },
+          { type: 'text', text: 'Image B:' },
+          { type: 'image_url', image_url: { url: imageUrlB } },
+          { type: 'text', text: 'Which image is better? Only answer "tie" if they are genuinely equal.\n\nReturn ONLY JSON: { "winner": "A" | "B" | "tie", "reason": "one sentence" }' }
+        ]
+      }
+    ]
+  }, {
+    type: 'object',
+    properties: {
+      winner: { type: 'string', enum: ['A', 'B', 'tie'] },
+      reason: { type: 'string' }
+    },
+    required: ['winner', 'reason']
+  });
+
+  return { winner: result.winner, reason: result.reason };
+}
+
+/**
+ * Pick two distinct models, favouring those with fewer matches
+ */
+function pickPair(models) {
+  const sorted = [...models]
+    .map(model => ({ model, matches: getRating(model).matches, tiebreak: Math.random() }))
+    .sort((x, y) => x.matches - y.matches || x.tiebreak - y.tiebreak);
+  const first = sorted[0].model;
+  const rest = sorted.slice(1);
+  const second = rest[Math.floor(Math.random() * rest.length)].model;
+  return Math.random() < 0.5 ? [first, second] : [second, first];
+}
+
+/**
+ * Run one blind head-to-head match and update ratings
+ * @param {string} prompt - Prompt both models receive
+ * @param {Object} [options]
+ * @param {Array<string>} [options.models] - Candidate models (default: showcase rotation)
+ * @returns {Promise<Object>} Match record
+ */
+async function runMatch(prompt, options = {}) {
+  const { models = getShowcaseModelKeys() } = options;
+  if (models.length < 2) {
+    throw new Error('At least two models are needed for a leaderboard match');
+  }
+
+  const [modelA, modelB] = pickPair(models);
+  console.log(`[Leaderboard] Match: ${modelA} vs ${modelB}`);
+
+  const [imageA, imageB] = await Promise.all([
+    // No fallbacks: a substitute model's image would be rated under the wrong name
+    generateImage(prompt, { model: modelA, fallback: false }),
+    generateImage(prompt, { model: modelB, fallback: false })
+  ]);
+
+  const verdict = await judgePair(prompt, imageA.image_url, imageB.image_url);
+  const scoreA = verdict.winner === 'A' ? 1 : verdict.winner === 'B' ? 0 : 0.5;
+  const ratingChanges = applyResult(modelA, modelB, scoreA);
+
+  const match = {
+    id: `match-${Date.now()}`,
+    prompt,
+    models: [modelA, modelB],
+    images: { [modelA]: imageA.image_url, [modelB]: imageB.image_url },
+    winner: verdict.winner === 'tie' ? null : (verdict.winner === 'A' ? modelA : modelB),
+    reason: verdict.reason,
+    ratingChanges,
+    playedAt: new Date().toISOString()
+  };
+
+  const matches = leaderboardStore.get('matches') || [];
+  matches.push(match);
+  leaderboardStore.set('matches', matches.slice(-MAX_RECENT_MATCHES));
+
+  console.log(`[Leaderboard] Winner: ${match.winner || 'tie'} — ${verdict.reason}`);
+  return match;
+}
+
+/**
+ * Current standings for every registered model
+ * @param {Object} [options]
+ * @param {number} [options.recent=20] - Number of recent matches to include
+ * @returns {Object} { ratings, recentMatches, totalMatches }
+ */
+function getLeaderboard(options = {}) {
+  const { recent = 20 } = options;
+  const matches = leaderboardStore.get('matches') || [];
+
+  const ratings = getModelKeys()
+    .map(model => ({ model, name: getModelName(model), ...getRating(model) }))
+    .sort((a, b) => b.rating - a.rating)
+    .map((entry, i) => ({ rank: i + 1, ...entry }));
+
+  return {
+    ratings,
+    recentMatches: matches.slice(-recent).reverse(),
+    totalMatches: matches.length
+  };
+}
+
+/**
+ * Compare current standings with the last weekly snapshot
+ * Nothing is stored: pass the returned snapshot to saveWeeklySnapshot once the
+ * summary has been posted, so a failed or skipped post keeps the old baseline.
+ * @returns {Object} { ratings (with rankChange/ratingChange), matchesSince, previousSnapshotAt, snapshot }
+ */
+function takeWeeklySnapshot() {
+  const { ratings } = getLeaderboard();
+  const previous = leaderboardStore.get('snapshot');
+  const matches = leaderboardStore.get('matches') || [];
+
+  const withChanges = ratings.map(entry => {
+    const before = previous?.ratings?.[entry.model];
+    return {
+      ...entry,
+      rankChange: before ? before.rank - entry.rank : null,
+      ratingChange: before ? Math.round((entry.rating - before.rating) * 10) / 10 : null
+    };
+  });
+
+  const matchesSince = previous
+    ? matches.filter(m => m.playedAt > previous.takenAt).length
+    : matches.length;
+
+  const snapshot = {
+    takenAt: new Date().toISOString(),
+    ratings: Object.fromEntries(ratings.map(r => [r.model, { rank: r.rank, rating: r.rating }]))
+  };
+
+  return { ratings: withChanges, matchesSince, previousSnapshotAt: previous?.takenAt || null, snapshot };
+}
+
+/**
+ * Store a snapshot from takeWeeklySnapshot as the new weekly baseline
+ */
+function saveWeeklySnapshot(snapshot) {
+  leaderboardStore.set('snapshot', snapshot);
+}
+
+module.exports = {
+  runMatch,
+  getLeaderboard,
+  takeWeeklySnapshot,
+  saveWeeklySnapshot
+};
@@ -0,0 +1,421 @@
+/**
+ * LLM Service — Standalone for Xona Agent
+ * Provider-agnostic text and vision calls, so pipelines are not locked to xAI
+ *
+ * Every text step is a named task (news-title, image-review, ...). Tasks are
+ * routed to providers by config/llm.json (override with LLM_CONFIG):
+ *   - defaultProvider:   Provider for tasks that don't pick one (override with LLM_PROVIDER)
+ *   - providers:         Keyed by name. Each declares:
+ *       - adapter:       'xai' (Responses API, server-side tools) or 'openai-compatible'
+ *                        (Chat Completions: OpenAI, OpenRouter, Ollama, LM Studio, vLLM, ...)
+ *       - baseUrl:       API base URL (baseUrlEnv: env var that overrides it)
+ *       - apiKeyEnv:     Env var holding the API key (omit for local servers without auth)
+ *       - defaultModel:  Model for text tasks (modelEnv: env var that overrides it)
+ *       - visionModel:   Model for tasks that require vision (default: defaultModel)
+ *       - capabilities:  What the provider can do beyond text: 'vision', 'x_search',
+ *                        'structured_output' (JSON schema response format; without it the
+ *                        schema goes in the prompt)
+ *       - timeoutSeconds: Request timeout (default: 120 for text, 60 for chat)
+ *   - tasks:             Keyed by task name. Each may declare:
+ *       - provider:      Provider key (default: defaultProvider)
+ *       - model:         Model id on that provider (requires provider)
+ *       - requires:      Capabilities the task can't run without
+ *
+ * A task whose provider lacks a required capability fails with a clear 501
+ * instead of silently returning worse output. Tasks missing from the config
+ * run on the default provider.
+ */
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { validateSchema } = require('./json-schema');
+const { notImplemented, StructuredOutputError } = require('./errors');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'llm.json');
+const ADAPTERS = ['xai', 'openai-compatible'];
+const CAPABILITIES = ['vision', 'x_search', 'structured_output'];
+
+let PROVIDERS = {};
+let TASKS = {};
+let DEFAULT_PROVIDER = null;
+
+/**
+ * Validate and fill defaults for one provider entry
+ */
+function normalizeProvider(key, config) {
+  if (!config || typeof config !== 'object') {
+    throw new Error(`Invalid LLM provider config for "${key}"`);
+  }
+  if (!ADAPTERS.includes(config.adapter)) {
+    throw new Error(`LLM provider "${key}" has unknown adapter "${config.adapter}". Available: ${ADAPTERS.join(', ')}`);
+  }
+  const baseUrl = (config.baseUrlEnv && process.env[config.baseUrlEnv]) || config.baseUrl;
+  if (!baseUrl) {
+    throw new Error(`LLM provider "${key}" is missing baseUrl`);
+  }
+  const defaultModel = (config.modelEnv && process.env[config.modelEnv]) || config.defaultModel;
+  if (!defaultModel) {
+    throw new Error(`LLM provider "${key}" is missing defaultModel`);
+  }
+  const capabilities = Array.isArray(config.capabilities) ? config.capabilities : [];
+  const unknown = capabilities.filter(c => !CAPABILITIES.includes(c));
+  if (unknown.length > 0) {
+    throw new Error(`LLM provider "${key}" has unknown capabilities: ${unknown.join(', ')}. Available: ${CAPABILITIES.join(', ')}`);
+  }
+  if (capabilities.includes('x_search') && config.adapter !== 'xai') {
+    throw new Error(`LLM provider "${key}" declares x_search, which only the xai adapter supports`);
+  }
+
+  return {
+    key,
+    adapter: config.adapter,
+    baseUrl: baseUrl.replace(/\/+$/, ''),
+    apiKeyEnv: config.apiKeyEnv || null,
+    defaultModel,
+    visionModel: config.visionModel || defaultModel,
+    capabilities,
+    timeoutMs: config.timeoutSeconds ? config.timeoutSeconds * 1000 : null
+  };
+}
+
+/**
+ * Validate one task entry against the loaded providers
+ */
+function normalizeTask(key, config, providers) {
+  if (!config || typeof config !== 'object') {
+    throw new Error(`Invalid LLM task config for "${key}"`);
+  }
+  if (config.provider && !providers[config.provider]) {
+    throw new Error(`LLM task "${key}" has unknown provider "${config.provider}". Available: ${Object.keys(providers).join(', ')}`);
+  }
+  // Model ids are provider-specific, so a model only makes sense with its provider
+  if (config.model && !config.provider) {
+    throw new Error(`LLM task "${key}" sets model without provider`);
+  }
+  const requires = Array.isArray(config.requires) ? config.requires : [];
+  const unknown = requires.filter(c => !CAPABILITIES.includes(c));
+  if (unknown.length > 0) {
+    throw new Error(`LLM task "${key}" requires unknown capabilities: ${unknown.join(', ')}. Available: ${CAPABILITIES.join(', ')}`);
+  }
+
+  return {
+    key,
+    provider: config.provider || null,
+    model: config.model || null,
+    requires,
+    description: config.description || ''
+  };
+}
+
+/**
+ * Load providers and task routing from a JSON config file, replacing the current config
+ * Tasks routed to a provider that lacks what they require are logged here,
+ * and fail when run.
+ * @param {string} [configPath] - Path to JSON config (default: LLM_CONFIG or config/llm.json)
+ */
+function loadLlmConfig(configPath = process.env.LLM_CONFIG || DEFAULT_CONFIG_PATH) {
+  const raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+  const providers = {};
+  for (const [key, config] of Object.entries(raw.providers || {})) {
+    providers[key] = normalizeProvider(key, config);
+  }
+  const defaultProvider = process.env.LLM_PROVIDER || raw.defaultProvider;
+  if (!providers[defaultProvider]) {
+    throw new Error(`Unknown default LLM provider "${defaultProvider}". Available: ${Object.keys(providers).join(', ')}`);
+  }
+
+  const tasks = {};
+  for (const [key, config] of Object.entries(raw.tasks || {})) {
+    tasks[key] = normalizeTask(key, config, providers);
+  }
+
+  PROVIDERS = providers;
+  TASKS = tasks;
+  DEFAULT_PROVIDER = defaultProvider;
+
+  for (const task of Object.values(TASKS)) {
+    const { provider } = resolveTask(task.key);
+    const missing = task.requires.filter(c => !provider.capabilities.includes(c));
+    if (missing.length > 0) {
+      console.warn(`[LLM] Task "${task.key}" requires ${missing.join(', ')}, which provider "${provider.key}" does not support — it will fail when run`);
+    }
+  }
+  console.log(`[LLM] Loaded ${Object.keys(PROVIDERS).length} providers and ${Object.keys(TASKS).length} tasks from ${configPath} (default: ${DEFAULT_PROVIDER})`);
+}
+
+/**
+ * Provider, model and requirements for a task
+ * @returns {Object} { task, provider, model, requires }
+ */
+function resolveTask(taskKey) {
+  const task = TASKS[taskKey] || { key: taskKey, provider: null, model: null, requires: [] };
+  const provider = PROVIDERS[task.provider || DEFAULT_PROVIDER];
+  const model = task.model || (task.requires.includes('vision') ? provider.visionModel : provider.defaultModel);
+  return { task, provider, model, requires: task.requires };
+}
+
+/**
+ * Throw a 501 if the provider lacks a capability the task declares or the call uses
+ */
+function assertCapabilities(resolved, used) {
+  const { task, provider } = resolved;
+  const needed = [...new Set([...task.requires, ...used])];
+  const missing = needed.filter(c => !provider.capabilities.includes(c));
+  if (missing.length > 0) {
+    throw notImplemented(`LLM task "${task.key}" requires ${missing.join(', ')}, which provider "${provider.key}" does not support. Route it to another provider in the LLM config.`);
+  }
+}
+
+/**
+ * Whether chat messages include image parts
+ */
+function hasImages(messages) {
+  return messages.some(m => Array.isArray(m.content) && m.content.some(part => part.type === 'image_url'));
+}
+
+function getHeaders(provider) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (provider.apiKeyEnv) {
+    if (!process.env[provider.apiKeyEnv]) {
+      throw new Error(`${provider.apiKeyEnv} is not set.`);
+    }
+    headers.Authorization = `Bearer ${process.env[provider.apiKeyEnv]}`;
+  }
+  return headers;
+}
+
+/**
+ * POST to a provider endpoint
+ */
+async function post(provider, endpoint, body, timeoutMs) {
+  const response = await axios.post(`${provider.baseUrl}${endpoint}`, body, {
+    headers: getHeaders(provider),
+    timeout: provider.timeoutMs || timeoutMs
+  });
+  return response.data;
+}
+
+/**
+ * Build chat messages from a Responses-style request
+ */
+function buildMessages({ message, conversationHistory = [], systemInstruction }) {
+  const messages = [];
+  if (systemInstruction) {
+    messages.push({ role: 'system', content: systemInstruction });
+  }
+  for (const entry of conversationHistory) {
+    messages.push({
+      role: entry.role === 'assistant' ? 'assistant' : 'user',
+      content: entry.content
+    });
+  }
+  messages.push({ role: 'user', content: message });
+  return messages;
+}
+
+/**
+ * Chat Completions response_format for a structured output request
+ */
+function chatResponseFormat(format) {
+  if (!format) return undefined;
+  return { type: 'json_schema', json_schema: { name: format.name, schema: format.schema, strict: false } };
+}
+
+/**
+ * Adapters: `respond` is for text tasks (xAI's Responses API runs server-side
+ * tools), `chat` for raw chat messages. Both take chat messages plus
+ * { tools, format } and return the provider's response body, which
+ * extractTextFromResponse understands. `format` ({ name, schema }) turns on
+ * the provider's structured output mode.
+ */
+const adapters = {
+  xai: {
+    respond: (provider, model, messages, { tools = [], format = null } = {}) => post(provider, '/responses', {
+      model,
+      input: messages,
+      tools: tools.length > 0 ? tools : undefined,
+      text: format ? { format: { type: 'json_schema', name: format.name, schema: format.schema, strict: false } } : undefined
+    }, 120000),
+    chat: (provider, model, messages, { format = null } = {}) => post(provider, '/chat/completions', {
+      model,
+      messages,
+      response_format: chatResponseFormat(format)
+    }, 60000)
+  },
+  'openai-compatible': {
+    respond: (provider, model, messages, { format = null } = {}) => post(provider, '/chat/completions', {
+      model,
+      messages,
+      response_format: chatResponseFormat(format)
+    }, 120000),
+    chat: (provider, model, messages, { format = null } = {}) => post(provider, '/chat/completions', {
+      model,
+      messages,
+      response_format: chatResponseFormat(format)
+    }, 60000)
+  }
+};
+
+/**
+ * Check capabilities, pick the model and call the task's provider
+ * @param {string} mode - 'respond' or 'chat'
+ */
+async function send(task, mode, messages, { tools = [], format = null } = {}) {
+  const resolved = resolveTask(task);
+  const images = hasImages(messages);
+  assertCapabilities(resolved, [...tools.map(tool => tool.type), ...(images ? ['vision'] : [])]);
+
+  const { provider } = resolved;
+  const model = images && !resolved.task.model ? provider.visionModel : resolved.model;
+  const notes = [
+    tools.length > 0 ? `tools: ${tools.map(t => t.type).join(', ')}` : null,
+    images ? 'vision' : null,
+    format ? `schema: ${format.name}` : null
+  ].filter(Boolean);
+  console.log(`[LLM] ${task} → ${provider.key}/${model}${notes.length > 0 ? ` | ${notes.join(' | ')}` : ''}`);
+  return adapters[provider.adapter][mode](provider, model, messages, { tools, format });
+}
+
+/**
+ * Run a text task
+ * @param {string} task - Task key in the LLM config (e.g. 'news-title')
+ * @param {Object} request
+ * @param {string} request.message - User message
+ * @param {string} [request.systemInstruction] - System prompt
+ * @param {Array<Object>} [request.conversationHistory] - Prior { role, content } turns
+ * @param {Array<Object>} [request.tools] - Server-side tools, e.g. [{ type: 'x_search' }] (the task must declare them)
+ * @returns {Promise<Object>} Provider response (read it with extractTextFromResponse)
+ */
+async function callLlm(task, request) {
+  return send(task, 'respond', buildMessages(request), { tools: request.tools });
+}
+
+/**
+ * Run a chat task with raw messages (image_url content parts for vision)
+ * @param {string} task - Task key in the LLM config (e.g. 'image-review')
+ * @param {Object} request
+ * @param {Array<Object>} request.messages - Chat Completions messages
+ * @returns {Promise<Object>} Provider response (read it with extractTextFromResponse)
+ */
+async function callLlmChat(task, { messages }) {
+  return send(task, 'chat', messages);
+}
+
+/**
+ * Put the schema in the system prompt, for providers without a structured output mode
+ */
+function withSchemaInstruction(messages, schema) {
+  const instruction = `Respond with only a JSON value, no prose or code fences, matching this JSON schema:\n${JSON.stringify(schema)}`;
+  const [first, ...rest] = messages;
+  if (first && first.role === 'system' && typeof first.content === 'string') {
+    return [{ ...first, content: `${first.content}\n\n${instruction}` }, ...rest];
+  }
+  return [{ role: 'system', content: instruction }, ...messages];
+}
+
+/**
+ * Parse and validate structured output text
+ * @returns {Object} { value, errors }
+ */
+function parseStructuredOutput(text, schema) {
+  if (!text) {
+    return { value: null, errors: ['Output is empty'] };
+  }
+  // Models without a structured output mode sometimes wrap the JSON in a code fence
+  const json = text.replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/, '$1');
+  let value;
+  try {
+    value = JSON.parse(json);
+  } catch (error) {
+    return { value: null, errors: [`Output is not valid JSON: ${error.message}`] };
+  }
+  return { value, errors: validateSchema(value, schema) };
+}
+
+/**
+ * Run a task that must return JSON matching a schema
+ * Uses the provider's structured output mode when it has one (capability
+ * 'structured_output'), otherwise puts the schema in the prompt. The output
+ * is validated against the schema; if it fails, the model gets the errors
+ * back and one chance to fix its answer.
+ * @param {string} task - Task key in the LLM config
+ * @param {Object} request - A callLlm request ({ message, systemInstruction, conversationHistory, tools })
+ *                           or a callLlmChat request ({ messages })
+ * @param {Object} schema - JSON schema the output must match (object at the root, see json-schema.js for the supported subset)
+ * @param {Object} [options]
+ * @param {string} [options.name] - Schema name sent to the provider (default: task key)
+ * @returns {Promise<*>} The validated value
+ * @throws {StructuredOutputError} When the repaired output is still invalid
+ */
+async function callLlmStructured(task, request, schema, options = {}) {
+  const { name = task.replace(/[^a-zA-Z0-9_]/g, '_') } = options;
+  const mode = request.messages ? 'chat' : 'respond';
+  const structured = resolveTask(task).provider.capabilities.includes('structured_output');
+  const format = structured ? { name, schema } : null;
+
+  let messages = request.messages || buildMessages(request);
+  if (!structured) {
+    messages = withSchemaInstruction(messages, schema);
+  }
+
+  let output = await send(task, mode, messages, { tools: request.tools, format });
+  let text = extractTextFromResponse(output);
+  let { value, errors } = parseStructuredOutput(text, schema);
+  if (errors.length === 0) return value;
+
+  // One repair attempt: the model sees its answer and what was wrong with it.
+  // Tools are dropped; the repair only reshapes what was already found.
+  console.warn(`[LLM] ${task} output failed validation, retrying once: ${errors.slice(0, 3).join('; ')}`);
+  messages = [
+    ...messages,
+    { role: 'assistant', content: text || '' },
+    { role: 'user', content: `Your answer did not match the required JSON schema:\n${errors.slice(0, 10).map(e => `- ${e}`).join('\n')}\n\nReturn the corrected JSON only.` }
+  ];
+  output = await send(task, mode, messages, { format });
+  text = extractTextFromResponse(output);
+  ({ value, errors } = parseStructuredOutput(text, schema));
+  if (errors.length === 0) return value;
+
+  throw new StructuredOutputError(task, errors, text);
+}
+
+/**
+ * Extract text content from an LLM response (Responses or Chat Completions shape)
+ */
+function extractTextFromResponse(response) {
+  if (!response) return null;
+
+  if (response.output && Array.isArray(response.output)) {
+    for (const item of response.output) {
+      if (item.type === 'message' && item.content && Array.isArray(item.content)) {
+        for (const contentItem of item.content) {
+          if (contentItem.type === 'output_text' && contentItem.text) {
+            return contentItem.text.trim();
+          }
+        }
+      }
+    }
+  }
+
+  // Chat completions
+  const chatContent = response.choices?.[0]?.message?.content;
+  if (typeof chatContent === 'string') return chatContent.trim();
+
+  if (response.content) {
+    return typeof response.content === 'string' ? response.content : JSON.stringify(response.content);
+  }
+  if (response.text) return response.text;
+
+  return null;
+}
+
+loadLlmConfig();
+
+module.exports = {
+  callLlm,
+  callLlmChat,
+  callLlmStructured,
+  extractTextFromResponse,
+  loadLlmConfig
+};
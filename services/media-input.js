@@ -0,0 +1,85 @@
+/**
+ * Media Input Service — Standalone for Xona Agent
+ * Normalizes caller-supplied input images (URLs, data: URIs, multipart uploads)
+ * into public CDN URLs that providers can fetch
+ *
+ * Uploaded inputs are stored under the `inputs/` prefix.
+ */
+const { v4: uuidv4 } = require('uuid');
+const uploadService = require('./upload');
+const { sniffImageFormat } = require('./image-processing');
+const { badRequest } = require('./errors');
+
+const MAX_INPUT_BYTES = 10 * 1024 * 1024;
+const INPUT_CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+/**
+ * Store an input image buffer on the CDN under inputs/
+ * @param {Buffer} buffer - Image bytes
+ * @param {string} contentType - Declared MIME type (checked against the sniffed format)
+ * @returns {Promise<string>} CDN URL
+ */
+async function storeInputImage(buffer, contentType) {
+  if (!INPUT_CONTENT_TYPES.includes(contentType)) {
+    throw badRequest(`Unsupported input image type: ${contentType}. Allowed: ${INPUT_CONTENT_TYPES.join(', ')}`);
+  }
+  if (!buffer || buffer.length === 0) {
+    throw badRequest('Input image is empty');
+  }
+  if (buffer.length > MAX_INPUT_BYTES) {
+    throw badRequest(`Input image must be ${MAX_INPUT_BYTES / (1024 * 1024)}MB or less`);
+  }
+
+  // Trust the bytes, not the declared type
+  const detected = sniffImageFormat(buffer);
+  if (!detected) {
+    throw badRequest(`Input image is not a valid image. Allowed: ${INPUT_CONTENT_TYPES.join(', ')}`);
+  }
+
+  const result = await uploadService.uploadBuffer(buffer, 'inputs', `${uuidv4()}-${Date.now()}.${detected.ext}`, detected.contentType);
+  console.log('[MediaInput] Stored input image:', result.url);
+  return result.url;
+}
+
+/**
+ * Resolve an input image reference to a URL providers can fetch
+ * @param {string} value - http(s) URL or base64 data: URI
+ * @param {string} [field='image'] - Field name for error messages
+ * @returns {Promise<string|null>} URL (null if no value)
+ */
+async function resolveImageInput(value, field = 'image') {
+  if (!value) return null;
+  if (typeof value !== 'string') {
+    throw badRequest(`${field} must be a URL or data: URI`);
+  }
+
+  if (value.startsWith('http://') || value.startsWith('https://')) {
+    return value;
+  }
+
+  if (value.startsWith('data:')) {
+    const decoded = uploadService.parseDataUri(value);
+    if (!decoded) {
+      throw badRequest(`${field} data: URI must be base64-encoded`);
+    }
+    return storeInputImage(decoded.buffer, decoded.contentType);
+  }
+
+  throw badRequest(`${field} must be an http(s) URL or data: URI`);
+}
+
+/**
+ * Check an input reference without uploading it (for up-front validation)
+ */
+function isValidImageInput(value) {
+  return typeof value === 'string' &&
+    (value.startsWith('http://') || value.startsWith('https://') || value.startsWith('data:'));
+}
+
+module.exports = {
+  storeInputImage,
+  resolveImageInput,
+  isValidImageInput,
+  MAX_INPUT_BYTES,
+  INPUT_CONTENT_TYPES
+};
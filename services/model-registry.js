@@ -0,0 +1,353 @@
+/**
+ * Image Model Registry — Standalone for Xona Agent
+ * Single source of truth for the image models we serve.
+ *
+ * Models are loaded once at startup from config/image-models.json
+ * (override with IMAGE_MODELS_CONFIG). Each entry declares:
+ *   - provider:          Provider adapter key ('replicate' or 'xai')
+ *   - providerModel:     Model id on the provider (e.g. 'google/nano-banana')
+ *   - name:              Human-readable display name
+ *   - description:       Short description for GET /models
+ *   - aspectRatios:      Supported aspect ratios ([] = fixed by provider)
+ *   - defaultAspectRatio: Used when the caller doesn't pick one (default: first of aspectRatios)
+ *   - maxPromptLength:   Longest prompt the model accepts (default: 5000)
+ *   - supportsReference: Whether a reference image can be passed
+ *   - promptGuidance:    How prompts should be written for this model (used by prompt enhancement)
+ *   - input:             Maps our option names to provider input fields; optional parameters
+ *                        (seed, negativePrompt, numOutputs, outputFormat, outputQuality) are
+ *                        only accepted for models that map them
+ *   - outputFormats:     Values accepted for outputFormat (requires an input.outputFormat mapping)
+ *   - maxOutputs:        Most images one request may ask for via numOutputs (default: 1)
+ *   - defaults:          Extra provider input sent with every request (optional)
+ *   - showcase:          Include in the Image Showcase and leaderboard rotations and the
+ *                        agent's marketing copy (default: true)
+ *   - fallbacks:         Model keys to try in order when this model's provider fails (optional)
+ *
+ * Edit models (POST /edit-image) are loaded the same way from
+ * config/edit-models.json (override with EDIT_MODELS_CONFIG). Each entry declares
+ * provider, providerModel, name, description, defaults and:
+ *   - supportsMask:      Whether a mask image can be passed (white = area to repaint)
+ *   - requiresMask:      Whether a mask is mandatory (pure inpainting models)
+ *   - input:             Maps `prompt`, `image` (single) or `images` (array) and `mask` to provider input fields
+ *
+ * Image tools (POST /upscale-image, POST /remove-background) come from
+ * config/image-tools.json (override with IMAGE_TOOLS_CONFIG), keyed by
+ * operation. Each entry declares provider (replicate only), providerModel, name,
+ * description, defaults and:
+ *   - input:             Maps `image` and optionally `scale` to provider input fields
+ *   - scales:            { min, max, default } upscale factors (requires an input.scale mapping)
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'image-models.json');
+const DEFAULT_EDIT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'edit-models.json');
+const DEFAULT_TOOLS_CONFIG_PATH = path.join(__dirname, '..', 'config', 'image-tools.json');
+const PROVIDERS = ['replicate', 'xai'];
+const DEFAULT_MAX_PROMPT_LENGTH = 5000;
+
+/** Optional generation parameters a model supports by mapping them in `input` */
+const GENERATION_PARAMETERS = ['seed', 'negativePrompt', 'outputFormat', 'outputQuality'];
+
+/** Loaded models, keyed by model key (insertion order = rotation order) */
+let MODELS = {};
+
+/** Loaded edit models, keyed by model key */
+let EDIT_MODELS = {};
+
+/** Image tools, keyed by operation ('upscale', 'remove-background') */
+const IMAGE_TOOL_OPERATIONS = ['upscale', 'remove-background'];
+let IMAGE_TOOLS = {};
+
+/**
+ * Checks shared by image and edit model entries
+ */
+function validateProvider(key, config) {
+  if (!config || typeof config !== 'object') {
+    throw new Error(`Invalid model config for "${key}"`);
+  }
+  if (!PROVIDERS.includes(config.provider)) {
+    throw new Error(`Model "${key}" has unknown provider "${config.provider}". Available: ${PROVIDERS.join(', ')}`);
+  }
+  if (!config.providerModel) {
+    throw new Error(`Model "${key}" is missing providerModel`);
+  }
+}
+
+/**
+ * Validate and normalize a single model entry
+ */
+function normalizeModel(key, config) {
+  validateProvider(key, config);
+
+  const aspectRatios = Array.isArray(config.aspectRatios) ? config.aspectRatios : [];
+  const defaultAspectRatio = config.defaultAspectRatio || aspectRatios[0] || null;
+  if (defaultAspectRatio && !aspectRatios.includes(defaultAspectRatio)) {
+    throw new Error(`Model "${key}" defaultAspectRatio "${defaultAspectRatio}" is not in its aspectRatios`);
+  }
+  const maxPromptLength = config.maxPromptLength ?? DEFAULT_MAX_PROMPT_LENGTH;
+  if (!Number.isInteger(maxPromptLength) || maxPromptLength <= 0) {
+    throw new Error(`Model "${key}" maxPromptLength must be a positive integer`);
+  }
+  const maxOutputs = config.maxOutputs ?? 1;
+  if (!Number.isInteger(maxOutputs) || maxOutputs <= 0) {
+    throw new Error(`Model "${key}" maxOutputs must be a positive integer`);
+  }
+
+  const input = { prompt: 'prompt', ...(config.input || {}) };
+  const outputFormats = Array.isArray(config.outputFormats) ? config.outputFormats : [];
+  if (outputFormats.length > 0 && !input.outputFormat) {
+    throw new Error(`Model "${key}" lists outputFormats but has no input.outputFormat mapping`);
+  }
+
+  return {
+    key,
+    provider: config.provider,
+    providerModel: config.providerModel,
+    name: config.name || key,
+    description: config.description || '',
+    aspectRatios,
+    defaultAspectRatio,
+    maxPromptLength,
+    supportsReference: !!config.supportsReference,
+    promptGuidance: config.promptGuidance || null,
+    input,
+    parameters: GENERATION_PARAMETERS.filter(name => input[name]),
+    outputFormats,
+    maxOutputs,
+    defaults: config.defaults || {},
+    showcase: config.showcase !== false,
+    fallbacks: Array.isArray(config.fallbacks) ? config.fallbacks : []
+  };
+}
+
+/**
+ * Check that every fallback points at another known model
+ */
+function validateFallbacks(model, models) {
+  for (const fallback of model.fallbacks) {
+    if (fallback === model.key) {
+      throw new Error(`Model "${model.key}" lists itself as a fallback`);
+    }
+    if (!models[fallback]) {
+      throw new Error(`Model "${model.key}" has unknown fallback "${fallback}". Available: ${Object.keys(models).join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Validate and normalize a single edit model entry
+ */
+function normalizeEditModel(key, config) {
+  validateProvider(key, config);
+
+  return {
+    key,
+    provider: config.provider,
+    providerModel: config.providerModel,
+    name: config.name || key,
+    description: config.description || '',
+    supportsMask: !!config.supportsMask || !!config.requiresMask,
+    requiresMask: !!config.requiresMask,
+    input: { prompt: 'prompt', ...(config.input || {}) },
+    defaults: config.defaults || {}
+  };
+}
+
+/**
+ * Validate and normalize a single image tool entry
+ */
+function normalizeImageTool(operation, config) {
+  validateProvider(operation, config);
+  if (config.provider !== 'replicate') {
+    throw new Error(`Image tool "${operation}" must use the replicate provider`);
+  }
+
+  const input = { image: 'image', ...(config.input || {}) };
+  let scales = null;
+  if (config.scales) {
+    const { min, max } = config.scales;
+    const fallback = config.scales.default ?? min;
+    if (!input.scale) {
+      throw new Error(`Image tool "${operation}" lists scales but has no input.scale mapping`);
+    }
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min <= 0 || max < min || fallback < min || fallback > max) {
+      throw new Error(`Image tool "${operation}" scales must be integers with 0 < min <= default <= max`);
+    }
+    scales = { min, max, default: fallback };
+  }
+
+  return {
+    key: operation,
+    provider: config.provider,
+    providerModel: config.providerModel,
+    name: config.name || operation,
+    description: config.description || '',
+    input,
+    scales,
+    defaults: config.defaults || {}
+  };
+}
+
+/**
+ * Load models from a JSON config file, replacing the current registry
+ * @param {string} [configPath] - Path to JSON config (default: IMAGE_MODELS_CONFIG or config/image-models.json)
+ */
+function loadModels(configPath = process.env.IMAGE_MODELS_CONFIG || DEFAULT_CONFIG_PATH) {
+  const raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+  const models = {};
+  for (const [key, config] of Object.entries(raw)) {
+    models[key] = normalizeModel(key, config);
+  }
+  if (Object.keys(models).length === 0) {
+    throw new Error(`No image models defined in ${configPath}`);
+  }
+  for (const model of Object.values(models)) {
+    validateFallbacks(model, models);
+  }
+
+  MODELS = models;
+  console.log(`[Models] Loaded ${Object.keys(MODELS).length} image models from ${configPath}`);
+  return MODELS;
+}
+
+/**
+ * Load edit models from a JSON config file, replacing the current edit registry
+ * @param {string} [configPath] - Path to JSON config (default: EDIT_MODELS_CONFIG or config/edit-models.json)
+ */
+function loadEditModels(configPath = process.env.EDIT_MODELS_CONFIG || DEFAULT_EDIT_CONFIG_PATH) {
+  const raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+  const models = {};
+  for (const [key, config] of Object.entries(raw)) {
+    models[key] = normalizeEditModel(key, config);
+  }
+
+  EDIT_MODELS = models;
+  console.log(`[Models] Loaded ${Object.keys(EDIT_MODELS).length} edit models from ${configPath}`);
+  return EDIT_MODELS;
+}
+
+/**
+ * Load image tools from a JSON config file, replacing the current tools
+ * @param {string} [configPath] - Path to JSON config (default: IMAGE_TOOLS_CONFIG or config/image-tools.json)
+ */
+function loadImageTools(configPath = process.env.IMAGE_TOOLS_CONFIG || DEFAULT_TOOLS_CONFIG_PATH) {
+  const raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+  const tools = {};
+  for (const [operation, config] of Object.entries(raw)) {
+    if (!IMAGE_TOOL_OPERATIONS.includes(operation)) {
+      throw new Error(`Unknown image tool "${operation}" in ${configPath}. Available: ${IMAGE_TOOL_OPERATIONS.join(', ')}`);
+    }
+    tools[operation] = normalizeImageTool(operation, config);
+  }
+
+  IMAGE_TOOLS = tools;
+  console.log(`[Models] Loaded ${Object.keys(IMAGE_TOOLS).length} image tools from ${configPath}`);
+  return IMAGE_TOOLS;
+}
+
+/**
+ * Register (or replace) a single model at runtime
+ */
+function registerModel(key, config) {
+  const model = normalizeModel(key, config);
+  validateFallbacks(model, { ...MODELS, [key]: model });
+  MODELS[key] = model;
+  return MODELS[key];
+}
+
+/**
+ * Get a model config by key (null if unknown)
+ */
+function getModel(key) {
+  return MODELS[key] || null;
+}
+
+/**
+ * Get all registered model keys
+ */
+function getModelKeys() {
+  return Object.keys(MODELS);
+}
+
+/**
+ * Get model keys included in the Image Showcase rotation
+ */
+function getShowcaseModelKeys() {
+  return Object.values(MODELS).filter(m => m.showcase).map(m => m.key);
+}
+
+/**
+ * Get display name for a model key (falls back to the key)
+ */
+function getModelName(key) {
+  return MODELS[key]?.name || key;
+}
+
+/**
+ * Get all registered models
+ */
+function listModels() {
+  return Object.values(MODELS);
+}
+
+/**
+ * Get an edit model config by key (null if unknown)
+ */
+function getEditModel(key) {
+  return EDIT_MODELS[key] || null;
+}
+
+/**
+ * Get all registered edit model keys
+ */
+function getEditModelKeys() {
+  return Object.keys(EDIT_MODELS);
+}
+
+/**
+ * Get all registered edit models
+ */
+function listEditModels() {
+  return Object.values(EDIT_MODELS);
+}
+
+/**
+ * Get the image tool for an operation (null if not configured)
+ */
+function getImageTool(operation) {
+  return IMAGE_TOOLS[operation] || null;
+}
+
+/**
+ * Get all configured image tools
+ */
+function listImageTools() {
+  return Object.values(IMAGE_TOOLS);
+}
+
+loadModels();
+loadEditModels();
+loadImageTools();
+
+module.exports = {
+  loadModels,
+  loadEditModels,
+  registerModel,
+  getModel,
+  getModelKeys,
+  getShowcaseModelKeys,
+  getModelName,
+  listModels,
+  getEditModel,
+  getEditModelKeys,
+  listEditModels,
+  loadImageTools,
+  getImageTool,
+  listImageTools,
+  GENERATION_PARAMETERS,
+  PROVIDERS
+};
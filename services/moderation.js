@@ -0,0 +1,144 @@
+/**
+ * Prompt Moderation — Standalone for Xona Agent
+ * Gates prompts on the free generation endpoints before they reach providers
+ *
+ * Two layers:
+ *   1. Local policy (config/moderation-policy.json, override with MODERATION_POLICY_CONFIG):
+ *      per-category blocklist terms and regex patterns, checked first and free;
+ *      `all` lists patterns that only match together (anywhere in the prompt)
+ *   2. Optional Grok classification (MODERATION_GROK=true) for anything the policy misses
+ */
+const fs = require('fs');
+const path = require('path');
+const { callLlmStructured } = require('./llm');
+const { DATA_DIR } = require('./store');
+
+const DEFAULT_POLICY_PATH = path.join(__dirname, '..', 'config', 'moderation-policy.json');
+const REJECTION_LOG_PATH = path.join(DATA_DIR, 'moderation-rejections.jsonl');
+
+/** Compiled policy: [{ category, description, patterns: [{ test(text) }] }] */
+let policy = [];
+
+/**
+ * Escape a blocklist term for use in a word-boundary regex
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Matcher that passes only when every pattern matches somewhere in the text
+ */
+function allOf(patterns) {
+  return { test: text => patterns.every(pattern => pattern.test(text)) };
+}
+
+/**
+ * Load and compile the local moderation policy
+ * @param {string} [policyPath] - Path to policy JSON
+ */
+function loadPolicy(policyPath = process.env.MODERATION_POLICY_CONFIG || DEFAULT_POLICY_PATH) {
+  const raw = JSON.parse(fs.readFileSync(policyPath, 'utf8'));
+
+  policy = Object.entries(raw.categories || {}).map(([category, config]) => ({
+    category,
+    description: config.description || category,
+    patterns: [
+      ...(config.terms || []).map(term => new RegExp(`\\b${escapeRegex(term)}\\b`, 'i')),
+      ...(config.patterns || []).map(pattern => new RegExp(pattern, 'i')),
+      ...(config.all ? [allOf(config.all.map(pattern => new RegExp(pattern, 'i')))] : [])
+    ]
+  }));
+
+  console.log(`[Moderation] Loaded ${policy.length} policy categories from ${policyPath}`);
+  return policy;
+}
+
+/**
+ * Check a prompt against the local policy
+ * @returns {Object|null} Violation or null
+ */
+function checkLocalPolicy(prompt) {
+  for (const rule of policy) {
+    const match = rule.patterns.find(pattern => pattern.test(prompt));
+    if (match) {
+      return {
+        category: rule.category,
+        reason: rule.description,
+        source: 'policy'
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Classify a prompt with the 'moderation' LLM task (only when MODERATION_GROK=true)
+ * Fails open on API errors so a provider outage does not take generation down.
+ * @returns {Promise<Object|null>} Violation or null
+ */
+async function classifyWithGrok(prompt) {
+  const categories = policy.map(rule => `- ${rule.category}: ${rule.description}`).join('\n');
+
+  try {
+    const result = await callLlmStructured('moderation', {
+      message: `Classify this image/video generation prompt:\n\n"""${prompt}"""\n\nReturn ONLY JSON: { "flagged": true|false, "category": "<category or null>", "reason": "<short reason>" }`,
+      systemInstruction: `You are a content moderation classifier for a public AI image/video generation API. Flag prompts that would produce content in any of these categories:\n${categories}\n\nDo not flag ordinary creative, crypto, meme or branding prompts. Return only valid JSON.`
+    }, {
+      type: 'object',
+      properties: {
+        flagged: { type: 'boolean' },
+        category: { type: ['string', 'null'], enum: [...policy.map(rule => rule.category), 'other', null] },
+        reason: { type: 'string' }
+      },
+      required: ['flagged', 'category', 'reason']
+    });
+
+    if (result.flagged) {
+      return {
+        category: result.category || 'other',
+        reason: result.reason || 'Flagged by classifier',
+        source: 'grok'
+      };
+    }
+  } catch (error) {
+    console.warn('[Moderation] Grok classification failed, allowing prompt:', error.message);
+  }
+  return null;
+}
+
+/**
+ * Moderate a prompt
+ * @param {string} prompt
+ * @returns {Promise<Object>} { allowed, category?, reason?, source? }
+ */
+async function moderatePrompt(prompt) {
+  const text = String(prompt || '');
+
+  const violation = checkLocalPolicy(text) ||
+    (process.env.MODERATION_GROK === 'true' ? await classifyWithGrok(text) : null);
+
+  return violation ? { allowed: false, ...violation } : { allowed: true };
+}
+
+/**
+ * Record a rejection for policy tuning (console + DATA_DIR/moderation-rejections.jsonl)
+ */
+function logRejection(entry) {
+  const line = { ...entry, time: new Date().toISOString() };
+  console.warn(`[Moderation] Rejected ${line.endpoint} from ${line.client.ip} — ${line.category} (${line.source})`);
+
+  fs.mkdir(DATA_DIR, { recursive: true }, () => {
+    fs.appendFile(REJECTION_LOG_PATH, JSON.stringify(line) + '\n', (error) => {
+      if (error) console.error('[Moderation] Failed to write rejection log:', error.message);
+    });
+  });
+}
+
+loadPolicy();
+
+module.exports = {
+  loadPolicy,
+  moderatePrompt,
+  logRejection
+};
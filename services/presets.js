@@ -0,0 +1,170 @@
+/**
+ * Style Presets — Standalone for Xona Agent
+ * Named prompt templates with default model, aspect ratio and optional
+ * brand reference image, so output can be restyled without touching code.
+ *
+ * Presets are loaded from config/presets.json (override with PRESETS_CONFIG)
+ * and reloaded automatically when the file changes. Each entry declares:
+ *   - name:           Human-readable display name
+ *   - description:    Short description for GET /presets
+ *   - template:       Prompt with {{variable}} placeholders
+ *   - variables:      { name: { description, default } } (no default = required)
+ *   - model:          Default image model key
+ *   - aspectRatio:    Default aspect ratio (must be supported by the model; default: the model's default)
+ *   - referenceImage: Brand reference image URL (optional; model must support references)
+ */
+const fs = require('fs');
+const path = require('path');
+const { getModel, getModelKeys } = require('./model-registry');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'presets.json');
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+const MAX_VARIABLE_LENGTH = 500;
+
+/** Loaded presets, keyed by preset key */
+let PRESETS = {};
+let loadedPath = null;
+let loadedMtime = 0;
+
+/**
+ * Validate and normalize a single preset entry
+ */
+function normalizePreset(key, config) {
+  if (!config || typeof config !== 'object' || typeof config.template !== 'string' || !config.template.trim()) {
+    throw new Error(`Preset "${key}" is missing a template`);
+  }
+  const model = getModel(config.model || 'nano-banana');
+  if (!model) {
+    throw new Error(`Preset "${key}" uses unknown model "${config.model}". Available: ${getModelKeys().join(', ')}`);
+  }
+  if (config.aspectRatio && !model.aspectRatios.includes(config.aspectRatio)) {
+    throw new Error(`Preset "${key}" aspect ratio ${config.aspectRatio} is not supported by ${model.key}`);
+  }
+  if (config.referenceImage && !model.supportsReference) {
+    throw new Error(`Preset "${key}" has a referenceImage but ${model.key} does not support references`);
+  }
+
+  const variables = {};
+  for (const [name, spec] of Object.entries(config.variables || {})) {
+    variables[name] = {
+      description: spec?.description || '',
+      default: spec?.default ?? null
+    };
+  }
+
+  const used = [...config.template.matchAll(PLACEHOLDER)].map(match => match[1]);
+  const undeclared = used.filter(name => !variables[name]);
+  if (undeclared.length > 0) {
+    throw new Error(`Preset "${key}" template uses undeclared variables: ${[...new Set(undeclared)].join(', ')}`);
+  }
+
+  return {
+    key,
+    name: config.name || key,
+    description: config.description || '',
+    template: config.template,
+    variables,
+    model: model.key,
+    aspectRatio: config.aspectRatio || model.defaultAspectRatio,
+    referenceImage: config.referenceImage || null
+  };
+}
+
+/**
+ * Load presets from a JSON config file, replacing the current set
+ * @param {string} [configPath] - Path to JSON config (default: PRESETS_CONFIG or config/presets.json)
+ */
+function loadPresets(configPath = process.env.PRESETS_CONFIG || DEFAULT_CONFIG_PATH) {
+  const raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+  const presets = {};
+  for (const [key, config] of Object.entries(raw)) {
+    presets[key] = normalizePreset(key, config);
+  }
+
+  PRESETS = presets;
+  loadedPath = configPath;
+  loadedMtime = fs.statSync(configPath).mtimeMs;
+  console.log(`[Presets] Loaded ${Object.keys(PRESETS).length} presets from ${configPath}`);
+  return PRESETS;
+}
+
+/**
+ * Reload the presets file if it changed on disk (a broken edit keeps the last good set)
+ */
+function refreshPresets() {
+  let mtime;
+  try {
+    mtime = fs.statSync(loadedPath).mtimeMs;
+    if (mtime !== loadedMtime) {
+      loadPresets(loadedPath);
+    }
+  } catch (error) {
+    console.error('[Presets] Reload failed, keeping previous presets:', error.message);
+    // Don't retry until the file changes again
+    if (mtime) loadedMtime = mtime;
+  }
+}
+
+/**
+ * Get a preset by key (null if unknown)
+ */
+function getPreset(key) {
+  refreshPresets();
+  return PRESETS[key] || null;
+}
+
+/**
+ * Get all presets
+ */
+function listPresets() {
+  refreshPresets();
+  return Object.values(PRESETS);
+}
+
+/**
+ * Render a preset into generation options
+ * @param {string} key - Preset key (e.g. 'news-banner')
+ * @param {Object} [variables] - Values for the template placeholders
+ * @returns {Object} { prompt, model, aspectRatio, referenceImage, preset }
+ */
+function renderPreset(key, variables = {}) {
+  const preset = getPreset(key);
+  if (!preset) {
+    throw new Error(`Unknown preset: ${key}. Available: ${Object.keys(PRESETS).join(', ')}`);
+  }
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+    throw new Error('variables must be an object');
+  }
+
+  const values = {};
+  const missing = [];
+  for (const [name, spec] of Object.entries(preset.variables)) {
+    const value = variables[name] ?? spec.default;
+    if (value === null || value === undefined) {
+      missing.push(name);
+      continue;
+    }
+    values[name] = String(value).trim().substring(0, MAX_VARIABLE_LENGTH);
+  }
+  if (missing.length > 0) {
+    throw new Error(`Preset ${key} requires variables: ${missing.join(', ')}`);
+  }
+
+  return {
+    prompt: preset.template.replace(PLACEHOLDER, (_, name) => values[name]),
+    model: preset.model,
+    aspectRatio: preset.aspectRatio,
+    referenceImage: preset.referenceImage,
+    preset: key
+  };
+}
+
+loadPresets();
+
+module.exports = {
+  loadPresets,
+  getPreset,
+  listPresets,
+  renderPreset
+};
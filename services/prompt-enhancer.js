@@ -0,0 +1,72 @@
+/**
+ * Prompt Enhancer — Standalone for Xona Agent
+ * Rewrites terse prompts ("solana logo") into model-appropriate prompts via Grok
+ *
+ * Image guidance comes from each model's `promptGuidance` in the model registry.
+ * Enhancement is best-effort: on any failure the original prompt is used.
+ * The rewrite goes through content moderation like the prompt it came from;
+ * a rejected rewrite is logged and the original prompt is used instead.
+ */
+const { callLlmStructured } = require('./llm');
+const { getModel } = require('./model-registry');
+const { moderatePrompt, logRejection } = require('./moderation');
+
+/** Guidance for Grok Video prompts */
+const VIDEO_GUIDANCE = 'Describe one continuous shot: subject, action over time, camera movement, lighting and mood. Present tense, 40-80 words.';
+
+const MAX_ENHANCED_LENGTH = 5000;
+
+/**
+ * Enhance a prompt for a specific model
+ * @param {string} prompt - Original prompt
+ * @param {Object} [options]
+ * @param {string} [options.model] - Image model key (ignored for video)
+ * @param {string} [options.type='image'] - 'image' or 'video'
+ * @param {Object} [options.client] - Caller identity for moderation logs ({ ip, userAgent })
+ * @returns {Promise<Object>} { prompt, original_prompt, enhanced }
+ */
+async function enhancePrompt(prompt, options = {}) {
+  const { model = null, type = 'image', client = { ip: 'internal', userAgent: null } } = options;
+
+  const modelConfig = type === 'image' && model ? getModel(model) : null;
+  const target = type === 'video' ? 'Grok Imagine Video' : (modelConfig?.name || 'an AI image model');
+  const guidance = type === 'video'
+    ? VIDEO_GUIDANCE
+    : (modelConfig?.promptGuidance || 'Concrete subject, setting, composition, lighting and style. 40-80 words.');
+
+  try {
+    const result = await callLlmStructured('prompt-enhance', {
+      message: `Rewrite this ${type} generation prompt for ${target}:\n\n"${prompt}"\n\nReturn ONLY JSON: { "prompt": "..." }`,
+      systemInstruction: `You are a prompt engineer for AI ${type} generation. Expand the user's idea into a single prompt that will produce striking output on ${target}. Keep the user's subject, any quoted text, brand names and intent exactly; add only visual detail.\n\nModel guidance: ${guidance}\n\nReturn only valid JSON.`
+    }, {
+      type: 'object',
+      properties: { prompt: { type: 'string', minLength: 1, maxLength: MAX_ENHANCED_LENGTH } },
+      required: ['prompt']
+    });
+
+    const enhanced = result.prompt.trim();
+    const verdict = await moderatePrompt(enhanced);
+    if (!verdict.allowed) {
+      logRejection({
+        endpoint: `prompt enhancement (${type})`,
+        category: verdict.category,
+        reason: verdict.reason,
+        source: verdict.source,
+        client,
+        prompt: enhanced.substring(0, 500)
+      });
+      return { prompt, original_prompt: prompt, enhanced: false };
+    }
+
+    console.log(`[Enhancer] ${type}/${model || 'video'}: "${prompt.substring(0, 40)}" → "${enhanced.substring(0, 60)}..."`);
+    return { prompt: enhanced, original_prompt: prompt, enhanced: true };
+  } catch (error) {
+    console.warn('[Enhancer] Enhancement failed, using original prompt:', error.message);
+  }
+
+  return { prompt, original_prompt: prompt, enhanced: false };
+}
+
+module.exports = {
+  enhancePrompt
+};
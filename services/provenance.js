@@ -0,0 +1,166 @@
+/**
+ * Provenance Service — Standalone for Xona Agent
+ * Records where each piece of generated media came from, so anyone can check
+ * whether a CDN file really was produced by this agent (GET /provenance/:cdnKey)
+ *
+ * Records are appended, one JSON line each, to DATA_DIR/provenance.jsonl and
+ * indexed in memory by CDN key (original and every rendition) at startup, so
+ * a new generation never rewrites the whole history. Records from the older
+ * DATA_DIR/provenance.json store are still loaded. Images also carry the same
+ * record in their EXIF.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { JsonStore, DATA_DIR } = require('./store');
+const { normalizePrompt } = require('./generation-cache');
+const uploadService = require('./upload');
+
+const AGENT_NAME = process.env.PROVENANCE_AGENT_NAME || 'Xona Agent';
+const PROVENANCE_LOG_PATH = path.join(DATA_DIR, 'provenance.jsonl');
+
+/** Provenance records, keyed by CDN key */
+const provenanceIndex = new Map();
+
+/**
+ * Build the index from the legacy store and the append-only log
+ */
+function loadProvenance() {
+  for (const [key, record] of new JsonStore('provenance').entries()) {
+    provenanceIndex.set(key, record);
+  }
+  if (!fs.existsSync(PROVENANCE_LOG_PATH)) return;
+
+  const log = fs.readFileSync(PROVENANCE_LOG_PATH, 'utf8');
+  let skipped = 0;
+  for (const line of log.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const record = JSON.parse(line);
+      for (const key of record.keys || []) provenanceIndex.set(key, record);
+    } catch (e) {
+      // A line cut short by a crash mid-write
+      skipped++;
+    }
+  }
+  if (skipped > 0) console.warn(`[Provenance] Skipped ${skipped} unreadable line(s) in ${PROVENANCE_LOG_PATH}`);
+
+  // Start the next record on its own line, not glued to a torn one
+  if (log && !log.endsWith('\n')) fs.appendFileSync(PROVENANCE_LOG_PATH, '\n');
+}
+
+/**
+ * SHA-256 hex digest
+ */
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Build the provenance record for a new piece of media
+ * The prompt itself is not stored — only its hash, so a caller holding the
+ * prompt can prove it matches.
+ * @param {Object} fields
+ * @param {string} fields.model - Model key (e.g. 'nano-banana')
+ * @param {string} fields.provider - Provider adapter key
+ * @param {string} [fields.prompt] - Prompt the media was generated from (none for upscales etc.)
+ * @param {string} [fields.type='image'] - 'image' or 'video'
+ * @param {Object} [fields.source] - Lineage when derived from another image (see buildSourceLineage)
+ * @returns {Object} { id, agent, type, model, provider, prompt_hash, source?, created_at }
+ */
+function buildProvenance({ model, provider, prompt, type = 'image', source = null }) {
+  return {
+    id: uuidv4(),
+    agent: AGENT_NAME,
+    type,
+    model,
+    provider,
+    prompt_hash: prompt ? sha256(normalizePrompt(prompt)) : null,
+    ...(source && { source }),
+    created_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Persist a provenance record for one or more CDN keys
+ * @param {Array<string>} keys - CDN keys (original + renditions)
+ * @param {Object} provenance - Record from buildProvenance
+ * @param {Object} [file] - { sha256, contentType } of the stored original
+ */
+function recordProvenance(keys, provenance, file = {}) {
+  const record = { ...provenance, ...file, keys };
+  for (const key of keys) {
+    provenanceIndex.set(key, record);
+  }
+
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.appendFileSync(PROVENANCE_LOG_PATH, JSON.stringify(record) + '\n');
+  } catch (error) {
+    console.error('[Provenance] Failed to write provenance log:', error.message);
+  }
+}
+
+/**
+ * CDN key for a CDN URL (keys pass through unchanged)
+ * URLs on any other host, and malformed URLs, have no key: a matching path
+ * elsewhere says nothing about whether we produced the file.
+ * @returns {string|null}
+ */
+function toCdnKey(cdnKeyOrUrl) {
+  const value = String(cdnKeyOrUrl || '');
+  if (!/^[a-z][a-z\d+.-]*:/i.test(value)) {
+    return value.replace(/^\/+/, '') || null;
+  }
+
+  try {
+    const url = new URL(value);
+    if (!['http:', 'https:'].includes(url.protocol) || !uploadService.getPublicHosts().includes(url.host.toLowerCase())) {
+      return null;
+    }
+    return decodeURIComponent(url.pathname).replace(/^\/+/, '') || null;
+  } catch (e) {
+    // TypeError (bad URL) or URIError (bad %-escape)
+    return null;
+  }
+}
+
+/**
+ * Look up provenance by CDN key (a full CDN URL is accepted too)
+ * @returns {Object|null} Provenance record or null if we didn't produce it
+ */
+function getProvenance(cdnKeyOrUrl) {
+  const key = toCdnKey(cdnKeyOrUrl);
+  return key ? provenanceIndex.get(key) || null : null;
+}
+
+/**
+ * Lineage for media derived from another image (upscales, image-to-video):
+ * the source URL, plus its provenance when this agent produced it
+ * @param {string} imageUrl - Source image URL
+ * @returns {Object} { image, cdn_key, provenance_id, model, type }
+ */
+function buildSourceLineage(imageUrl) {
+  const cdnKey = /^https?:\/\//i.test(imageUrl) ? toCdnKey(imageUrl) : null;
+  const source = cdnKey ? provenanceIndex.get(cdnKey) || null : null;
+  return {
+    image: imageUrl,
+    cdn_key: source ? cdnKey : null,
+    provenance_id: source?.id || null,
+    model: source?.model || null,
+    type: source?.type || null
+  };
+}
+
+loadProvenance();
+
+module.exports = {
+  buildProvenance,
+  recordProvenance,
+  getProvenance,
+  buildSourceLineage,
+  toCdnKey,
+  sha256,
+  AGENT_NAME
+};
@@ -0,0 +1,115 @@
+/**
+ * Provider Health — Standalone for Xona Agent
+ * Tracks recent successes and failures per generation provider (replicate, xai)
+ * so fallback chains can skip a provider that is down or rate-limited.
+ *
+ * A provider is marked unhealthy for PROVIDER_COOLDOWN_SECONDS after
+ * PROVIDER_FAILURE_THRESHOLD consecutive failures, or straight away on a
+ * 429 (rate limit). Every error counts as a failure except one we can pin on
+ * the request (see isInputError). State is in memory — a restart starts
+ * everyone healthy.
+ */
+const FAILURE_THRESHOLD = parseInt(process.env.PROVIDER_FAILURE_THRESHOLD) || 3;
+const COOLDOWN_MS = (parseInt(process.env.PROVIDER_COOLDOWN_SECONDS) || 120) * 1000;
+
+/** Health state, keyed by provider */
+const health = {};
+
+function getState(provider) {
+  if (!health[provider]) {
+    health[provider] = {
+      consecutiveFailures: 0,
+      successes: 0,
+      failures: 0,
+      lastError: null,
+      lastFailureAt: null,
+      lastSuccessAt: null,
+      unhealthyUntil: 0
+    };
+  }
+  return health[provider];
+}
+
+/**
+ * HTTP status of a provider error (axios and the Replicate SDK both expose `response.status`)
+ */
+function getErrorStatus(error) {
+  return error?.response?.status || error?.status || null;
+}
+
+/**
+ * Whether an error is the request's fault: our own badRequest, or the provider
+ * rejecting the input with a 400/422. Some providers answer a bad API key with
+ * a 400 too, so those stay provider failures. Everything else (auth, quota,
+ * missing config, timeouts, 5xx, failed predictions) is the provider's problem.
+ */
+function isInputError(error) {
+  const status = getErrorStatus(error);
+  if (status !== 400 && status !== 422) return false;
+  const detail = JSON.stringify(error?.response?.data || '') + (error?.message || '');
+  return !/api key|unauthori[sz]ed|credential/i.test(detail);
+}
+
+/**
+ * Record a successful provider call (clears the failure streak)
+ */
+function recordSuccess(provider) {
+  const state = getState(provider);
+  state.successes++;
+  state.consecutiveFailures = 0;
+  state.unhealthyUntil = 0;
+  state.lastSuccessAt = new Date().toISOString();
+}
+
+/**
+ * Record a failed provider call; may put the provider into cooldown
+ */
+function recordFailure(provider, error) {
+  const state = getState(provider);
+  state.failures++;
+  state.consecutiveFailures++;
+  state.lastError = error?.message || String(error);
+  state.lastFailureAt = new Date().toISOString();
+
+  const rateLimited = getErrorStatus(error) === 429;
+  if (rateLimited || state.consecutiveFailures >= FAILURE_THRESHOLD) {
+    state.unhealthyUntil = Date.now() + COOLDOWN_MS;
+    console.warn(`[ProviderHealth] ${provider} marked unhealthy for ${COOLDOWN_MS / 1000}s (${rateLimited ? 'rate limited' : `${state.consecutiveFailures} failures in a row`})`);
+  }
+}
+
+/**
+ * Whether a provider is outside its cooldown
+ */
+function isHealthy(provider) {
+  return getState(provider).unhealthyUntil <= Date.now();
+}
+
+/**
+ * Health summary for GET /health
+ */
+function getProviderHealth() {
+  const summary = {};
+  for (const [provider, state] of Object.entries(health)) {
+    summary[provider] = {
+      healthy: isHealthy(provider),
+      consecutiveFailures: state.consecutiveFailures,
+      successes: state.successes,
+      failures: state.failures,
+      lastError: state.lastError,
+      lastFailureAt: state.lastFailureAt,
+      lastSuccessAt: state.lastSuccessAt,
+      unhealthyUntil: isHealthy(provider) ? null : new Date(state.unhealthyUntil).toISOString()
+    };
+  }
+  return summary;
+}
+
+module.exports = {
+  getErrorStatus,
+  isInputError,
+  recordSuccess,
+  recordFailure,
+  isHealthy,
+  getProviderHealth
+};
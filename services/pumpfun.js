@@ -3,7 +3,7 @@
  * Fetches trending/movers tokens from PumpFun + DexScreener enrichment + AI analysis
  */
 const axios = require('axios');
-const { callGrokChat, callGrokApi, buildTrendingSystemInstruction } = require('./grok');
+const { callLlmChat, callLlmStructured, extractTextFromResponse } = require('./llm');
 
 const PUMPFUN_API = 'https://frontend-api-v3.pump.fun';
 const DEXSCREENER_API = 'https://api.dexscreener.com/latest/dex/tokens';
@@ -81,7 +81,7 @@ async function describeIcon(token) {
   if (!token.icon) return { ...token, icon_description: null };
 
   try {
-    const response = await callGrokChat({
+    const response = await callLlmChat('pumpfun-icon', {
       messages: [
         {
           role: 'system',
@@ -97,7 +97,7 @@ async function describeIcon(token) {
       ]
     });
 
-    const desc = response?.choices?.[0]?.message?.content?.trim() || null;
+    const desc = extractTextFromResponse(response);
     return { ...token, icon_description: desc };
   } catch (error) {
     console.warn(`[PumpFun] Icon description error for ${token.ticker}:`, error.message);
@@ -114,7 +114,7 @@ async function generateSummary(tokens, type = 'trending') {
       `${t.ticker || t.name}: MC ${t.mc || 'N/A'}, 1h: ${t['1hpricechange'] || 'N/A'}%, 24h: ${t['24hpricechange'] || 'N/A'}%`
     ).join('\n');
 
-    const response = await callGrokApi({
+    return await callLlmStructured('pumpfun-summary', {
       message: `Analyze these ${type} PumpFun tokens and provide:
 1. A brief summary of the dominant meta/theme (2-3 sentences)
 2. Top 2-3 fresh suggestions for agents
@@ -124,33 +124,14 @@ ${tokenList}
 
 Return JSON: { "summary": "...", "suggestions": ["...", "..."] }`,
       systemInstruction: 'You are a Solana token analyst. Be concise and insightful. Return ONLY valid JSON.'
+    }, {
+      type: 'object',
+      properties: {
+        summary: { type: 'string', minLength: 1 },
+        suggestions: { type: 'array', maxItems: 5, items: { type: 'string' } }
+      },
+      required: ['summary', 'suggestions']
     });
-
-    // Parse response
-    let result = { summary: '', suggestions: [] };
-    if (response.output && Array.isArray(response.output)) {
-      for (const item of response.output) {
-        if (item.type === 'message' && item.content) {
-          for (const c of item.content) {
-            if (c.type === 'output_text' && c.text) {
-              try {
-                const parsed = JSON.parse(c.text.trim());
-                result = parsed;
-              } catch {
-                // Try to extract JSON
-                const match = c.text.match(/\{[\s\S]*\}/);
-                if (match) {
-                  try { result = JSON.parse(match[0]); } catch {}
-                }
-              }
-              break;
-            }
-          }
-        }
-      }
-    }
-
-    return result;
   } catch (error) {
     console.error('[PumpFun] Summary generation error:', error.message);
     return { summary: 'Unable to generate summary', suggestions: [] };
@@ -230,7 +211,43 @@ async function getMovers(limit = 10) {
   };
 }
 
+/**
+ * Get a single PumpFun token by contract address, enriched like the lists
+ * @param {string} ca - Token mint address
+ * @returns {Promise<Object>} Token with icon, price changes, icon_description and description
+ */
+async function getToken(ca) {
+  console.log(`[PumpFun] Fetching token ${ca}...`);
+
+  const notFound = new Error(`Token not found on PumpFun: ${ca}`);
+  notFound.status = 404;
+
+  let coin;
+  try {
+    const response = await axios.get(`${PUMPFUN_API}/coins/${ca}`, {
+      headers: BROWSER_HEADERS,
+      timeout: 15000
+    });
+    coin = response.data;
+  } catch (error) {
+    if (error.response?.status === 404) throw notFound;
+    throw error;
+  }
+
+  if (!coin || !coin.mint) throw notFound;
+
+  let token = await enrichWithDexScreener(normalizeToken(coin));
+  // Tokens that haven't migrated have no DexScreener pair — fall back to the PumpFun image
+  if (!token.icon && coin.image_uri) {
+    token.icon = coin.image_uri;
+  }
+  token = await describeIcon(token);
+
+  return { ...token, description: coin.description || null };
+}
+
 module.exports = {
   getTrending,
-  getMovers
+  getMovers,
+  getToken
 };
@@ -0,0 +1,313 @@
+/**
+ * Replicate Predictions — Standalone for Xona Agent
+ * Runs Replicate models through the predictions API instead of a blocking
+ * `replicate.run`: each prediction is created, tracked by id in
+ * DATA_DIR/replicate-predictions.json and awaited until it finishes.
+ *
+ * With PUBLIC_BASE_URL and REPLICATE_WEBHOOK_SECRET set, Replicate POSTs
+ * signed status changes to /webhooks/replicate and waiting callers wake up
+ * immediately; polling stays on as a slow safety net. Without them,
+ * predictions are polled with backoff and every webhook call is rejected.
+ * Predictions are canceled through an AbortSignal, or by id together with
+ * the id of the job that started them.
+ */
+const Replicate = require('replicate');
+const { validateWebhook } = require('replicate');
+const { JsonStore } = require('./store');
+
+const replicate = new Replicate({
+  auth: process.env.REPLICATE_API_TOKEN
+});
+
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '') || null;
+const WEBHOOK_SECRET = process.env.REPLICATE_WEBHOOK_SECRET || null;
+const PREDICTION_TIMEOUT_MS = (parseInt(process.env.REPLICATE_PREDICTION_TIMEOUT_SECONDS) || 600) * 1000;
+
+/** Poll backoff schedule without webhooks: start fast, grow to a cap */
+const POLL_INITIAL_MS = 1000;
+const POLL_MAX_MS = 10000;
+const POLL_FACTOR = 1.5;
+
+/** With webhooks, polling only catches deliveries that never arrive */
+const WEBHOOK_POLL_MS = 30000;
+
+/** Finished predictions are kept this long for status lookups */
+const RECORD_TTL_MS = 24 * 60 * 60 * 1000;
+
+const TERMINAL_STATUSES = ['succeeded', 'failed', 'canceled'];
+
+/** Tracked predictions, keyed by Replicate prediction id */
+const predictions = new JsonStore('replicate-predictions');
+
+/** Callers waiting on a prediction, woken early by webhooks and cancellation */
+const waiters = new Map();
+
+/** Job that owns each job's AbortSignal, recorded on the predictions made under it */
+const signalOwners = new WeakMap();
+
+if (PUBLIC_BASE_URL && !WEBHOOK_SECRET) {
+  console.warn('[Replicate] PUBLIC_BASE_URL is set without REPLICATE_WEBHOOK_SECRET; webhooks stay off and predictions are polled');
+}
+
+/**
+ * Webhook URL for new predictions (null = poll only)
+ * Unsigned deliveries can't be trusted, so webhooks need the signing secret too
+ */
+function getWebhookUrl() {
+  return PUBLIC_BASE_URL && WEBHOOK_SECRET ? `${PUBLIC_BASE_URL}/webhooks/replicate` : null;
+}
+
+/**
+ * Record which job an AbortSignal belongs to; predictions created with it
+ * can then be canceled by id with that job's id
+ * @param {AbortSignal} signal
+ * @param {string} jobId
+ */
+function setSignalOwner(signal, jobId) {
+  signalOwners.set(signal, jobId);
+}
+
+/**
+ * Store the latest state of a tracked prediction
+ */
+function updateRecord(prediction) {
+  const record = predictions.get(prediction.id);
+  if (!record) return null;
+
+  return predictions.set(prediction.id, {
+    ...record,
+    status: prediction.status,
+    output: prediction.output ?? record.output ?? null,
+    error: prediction.error ? String(prediction.error) : null,
+    updatedAt: new Date().toISOString(),
+    completedAt: TERMINAL_STATUSES.includes(prediction.status) ? (prediction.completed_at || new Date().toISOString()) : null
+  });
+}
+
+/**
+ * Wake anyone waiting on a prediction
+ */
+function wake(id) {
+  const waiter = waiters.get(id);
+  if (waiter) waiter();
+}
+
+/**
+ * Sleep until the interval passes, a webhook arrives or the signal aborts
+ */
+function waitForUpdate(id, ms, signal) {
+  return new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timer);
+      waiters.delete(id);
+      if (signal) signal.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    waiters.set(id, done);
+    if (signal) signal.addEventListener('abort', done, { once: true });
+  });
+}
+
+/**
+ * Drop finished predictions older than RECORD_TTL_MS
+ */
+function pruneRecords() {
+  const cutoff = Date.now() - RECORD_TTL_MS;
+  for (const [id, record] of predictions.entries()) {
+    if (record.completedAt && new Date(record.completedAt).getTime() < cutoff) {
+      predictions.delete(id);
+    }
+  }
+}
+
+/**
+ * Create a prediction and start tracking it
+ * @param {string} providerModel - 'owner/name' (official model) or 'owner/name:version'
+ * @param {Object} input - Model input
+ * @param {string|null} [jobId] - Job that owns the prediction
+ * @returns {Promise<Object>} Tracked prediction record
+ */
+async function createPrediction(providerModel, input, jobId = null) {
+  const [model, version] = providerModel.split(':');
+  const webhook = getWebhookUrl();
+
+  const prediction = await replicate.predictions.create({
+    ...(version ? { version } : { model }),
+    input,
+    ...(webhook && { webhook, webhook_events_filter: ['start', 'completed'] })
+  });
+
+  pruneRecords();
+  const record = predictions.set(prediction.id, {
+    id: prediction.id,
+    model: providerModel,
+    status: prediction.status,
+    output: prediction.output ?? null,
+    error: null,
+    webhook: !!webhook,
+    jobId,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    completedAt: null
+  });
+
+  console.log(`[Replicate] Created prediction ${prediction.id} for ${providerModel} (${webhook ? 'webhook' : 'polling'})`);
+  return record;
+}
+
+/**
+ * Error for a prediction that ended without output; it is Replicate's
+ * failure, not the caller's, so it carries a 5xx
+ */
+function predictionError(message, status = 502) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Wait for a tracked prediction to finish (webhook or polling, whichever comes first)
+ * A failed status poll is retried until the timeout. Any exit before the
+ * prediction finishes (timeout, abort, an error) cancels it, so nothing keeps
+ * running and billing on Replicate untracked.
+ * @param {string} id - Prediction id
+ * @param {Object} [options]
+ * @param {Function} [options.onUpdate] - Called with the record whenever its status changes
+ * @param {AbortSignal} [options.signal] - Aborting cancels the prediction
+ * @returns {Promise<Object>} Finished record (status 'succeeded')
+ */
+async function waitForPrediction(id, options = {}) {
+  const { onUpdate = () => {}, signal } = options;
+  const startedAt = Date.now();
+  let interval = POLL_INITIAL_MS;
+  let lastStatus = null;
+
+  try {
+    while (true) {
+      let record = predictions.get(id);
+
+      if (signal && signal.aborted && !TERMINAL_STATUSES.includes(record.status)) {
+        record = await cancelPrediction(id);
+      }
+      if (!TERMINAL_STATUSES.includes(record.status) && Date.now() - startedAt > PREDICTION_TIMEOUT_MS) {
+        throw predictionError(`Replicate prediction ${id} timed out after ${PREDICTION_TIMEOUT_MS / 1000}s`, 504);
+      }
+
+      if (record.status !== lastStatus) {
+        lastStatus = record.status;
+        onUpdate(record);
+      }
+
+      if (record.status === 'succeeded') return record;
+      if (record.status === 'failed') throw predictionError(`Replicate prediction ${id} failed: ${record.error || 'unknown error'}`);
+      if (record.status === 'canceled') throw predictionError(`Replicate prediction ${id} was canceled`);
+
+      await waitForUpdate(id, record.webhook ? WEBHOOK_POLL_MS : interval, signal);
+      interval = Math.min(POLL_MAX_MS, Math.round(interval * POLL_FACTOR));
+
+      // No webhook news — ask Replicate directly (a failed poll is retried next round)
+      if (!TERMINAL_STATUSES.includes(predictions.get(id).status) && !(signal && signal.aborted)) {
+        try {
+          updateRecord(await replicate.predictions.get(id));
+        } catch (error) {
+          console.warn(`[Replicate] Polling ${id} failed, retrying:`, error.message);
+        }
+      }
+    }
+  } finally {
+    const record = predictions.get(id);
+    if (record && !TERMINAL_STATUSES.includes(record.status)) {
+      await cancelPrediction(id).catch(error => console.warn(`[Replicate] Could not cancel ${id}:`, error.message));
+    }
+  }
+}
+
+/**
+ * Create a prediction and wait for its output
+ * @param {string} providerModel - 'owner/name' or 'owner/name:version'
+ * @param {Object} input - Model input
+ * @param {Object} [options] - { onUpdate, signal } (see waitForPrediction)
+ * @returns {Promise<Object>} { id, output }
+ */
+async function runPrediction(providerModel, input, options = {}) {
+  if (options.signal && options.signal.aborted) {
+    throw new Error('Canceled before the prediction was created');
+  }
+
+  const jobId = options.signal ? signalOwners.get(options.signal) || null : null;
+  const record = await createPrediction(providerModel, input, jobId);
+  const finished = await waitForPrediction(record.id, options);
+  return { id: finished.id, output: finished.output };
+}
+
+/**
+ * Cancel a tracked prediction
+ * @param {string} id - Prediction id
+ * @param {Object} [options]
+ * @param {string} [options.jobId] - Only cancel if this job started the prediction
+ * @returns {Promise<Object|null>} Updated record, or null if we don't track this id (or it isn't the job's)
+ */
+async function cancelPrediction(id, options = {}) {
+  const record = predictions.get(id);
+  if (!record) return null;
+  if (options.jobId !== undefined && (!record.jobId || record.jobId !== options.jobId)) return null;
+  if (TERMINAL_STATUSES.includes(record.status)) return record;
+
+  const prediction = await replicate.predictions.cancel(id);
+  console.log(`[Replicate] Canceled prediction ${id}`);
+  const updated = updateRecord(prediction);
+  wake(id);
+  return updated;
+}
+
+/**
+ * Check a Replicate webhook signature (never valid when no secret is configured)
+ * @param {Object} headers - Request headers
+ * @param {string} rawBody - Raw request body
+ */
+async function verifyWebhook(headers, rawBody) {
+  if (!WEBHOOK_SECRET) return false;
+  if (!rawBody || !headers['webhook-signature']) return false;
+  try {
+    return await validateWebhook({ headers, body: rawBody }, WEBHOOK_SECRET);
+  } catch (error) {
+    console.warn('[Replicate] Webhook validation error:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Apply a webhook delivery (the prediction object Replicate POSTs)
+ * @returns {boolean} Whether the prediction is one we track
+ */
+function handleWebhook(prediction) {
+  if (!prediction || !prediction.id) return false;
+
+  const record = updateRecord(prediction);
+  if (!record) return false;
+
+  console.log(`[Replicate] Webhook: ${prediction.id} → ${prediction.status}`);
+  wake(prediction.id);
+  return true;
+}
+
+/**
+ * Public view of a tracked prediction (null if unknown)
+ * The owning job id is left out: it is what authorizes a cancel
+ */
+function getPrediction(id) {
+  const record = predictions.get(id);
+  if (!record) return null;
+  const { output, jobId, ...rest } = record;
+  return rest;
+}
+
+module.exports = {
+  runPrediction,
+  cancelPrediction,
+  getPrediction,
+  setSignalOwner,
+  verifyWebhook,
+  handleWebhook
+};
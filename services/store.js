@@ -0,0 +1,78 @@
+/**
+ * Local JSON Store — Standalone for Xona Agent
+ * Tiny key/value store persisted as one JSON file per store under DATA_DIR
+ *
+ * Writes are synchronous and atomic (write temp file, then rename), which is
+ * plenty for the low write volume of pending jobs, caches and ratings.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+class JsonStore {
+  /**
+   * @param {string} name - Store name (file: DATA_DIR/<name>.json)
+   */
+  constructor(name) {
+    this.name = name;
+    this.filePath = path.join(DATA_DIR, `${name}.json`);
+    this.data = {};
+    this.load();
+  }
+
+  /**
+   * Load store contents from disk (missing or corrupt file = empty store)
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8')) || {};
+      }
+    } catch (error) {
+      console.error(`[Store] Failed to load ${this.name}, starting empty:`, error.message);
+      this.data = {};
+    }
+  }
+
+  /**
+   * Persist store contents to disk
+   */
+  save() {
+    try {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      console.error(`[Store] Failed to save ${this.name}:`, error.message);
+    }
+  }
+
+  get(key) {
+    return this.data[key] ?? null;
+  }
+
+  set(key, value) {
+    this.data[key] = value;
+    this.save();
+    return value;
+  }
+
+  delete(key) {
+    if (key in this.data) {
+      delete this.data[key];
+      this.save();
+    }
+  }
+
+  values() {
+    return Object.values(this.data);
+  }
+
+  entries() {
+    return Object.entries(this.data);
+  }
+}
+
+module.exports = { JsonStore, DATA_DIR };
@@ -0,0 +1,283 @@
+/**
+ * Storyboard Video Service — Standalone for Xona Agent
+ * Turns a script into one longer video (30–60 second promos instead of a
+ * single 10-second clip)
+ *
+ * The LLM splits the script into scenes; each scene is generated with Grok Video,
+ * starting from the previous scene's last frame so characters and setting
+ * carry over; the clips are stitched locally with ffmpeg into one MP4 on the CDN,
+ * with the same poster, preview and captioned renditions as single videos.
+ */
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { generateGrokVideo } = require('./grok');
+const { callLlmStructured } = require('./llm');
+const { VIDEO_CAPABILITIES, validateCaptions } = require('./video-gen');
+const uploadService = require('./upload');
+const { withCache } = require('./generation-cache');
+const { resolveImageInput, storeInputImage, isValidImageInput } = require('./media-input');
+const { buildProvenance, recordProvenance } = require('./provenance');
+const { moderatePrompt, logRejection } = require('./moderation');
+const { createWorkDir, removeWorkDir, downloadVideo, extractLastFrame, concatVideos, createVideoRenditions } = require('./video-processing');
+const { badRequest } = require('./errors');
+
+/** Total length of a storyboard, in seconds */
+const STORYBOARD_DURATIONS = { min: 10, max: 60, default: 30 };
+
+/** Shortest scene worth generating; the longest is the video model's max */
+const MIN_SCENE_SECONDS = 5;
+
+/** Scenes used when the caller doesn't choose (one per default-length clip) */
+function defaultSceneCount(duration) {
+  return Math.ceil(duration / VIDEO_CAPABILITIES.durations.default);
+}
+
+/**
+ * Check a storyboard request (400 on anything unsupported)
+ * @returns {Object} { aspectRatio, imageUrl, duration, scenes, captions } with defaults filled in
+ */
+function validateStoryboardRequest(script, options = {}) {
+  const { aspectRatio = null, imageUrl = null, duration = STORYBOARD_DURATIONS.default } = options;
+  const { min, max } = STORYBOARD_DURATIONS;
+
+  if (!script || typeof script !== 'string' || script.trim().length === 0) {
+    throw badRequest('script is required');
+  }
+  if (script.length > VIDEO_CAPABILITIES.maxPromptLength) {
+    throw badRequest(`script must be ${VIDEO_CAPABILITIES.maxPromptLength} characters or less`);
+  }
+  if (aspectRatio && !VIDEO_CAPABILITIES.aspectRatios.includes(aspectRatio)) {
+    throw badRequest(`Unsupported video aspect ratio ${aspectRatio}. Supported: ${VIDEO_CAPABILITIES.aspectRatios.join(', ')}`);
+  }
+  const seconds = Number(duration);
+  if (!Number.isInteger(seconds) || seconds < min || seconds > max) {
+    throw badRequest(`duration must be a whole number of seconds from ${min} to ${max}`);
+  }
+
+  // Every scene has to fit between MIN_SCENE_SECONDS and the model's longest clip
+  const fewest = Math.ceil(seconds / VIDEO_CAPABILITIES.durations.max);
+  const most = Math.floor(seconds / MIN_SCENE_SECONDS);
+  const scenes = options.scenes === undefined || options.scenes === null ? defaultSceneCount(seconds) : Number(options.scenes);
+  if (!Number.isInteger(scenes) || scenes < fewest || scenes > most) {
+    throw badRequest(`scenes must be a whole number from ${fewest} to ${most} for a ${seconds}s storyboard`);
+  }
+
+  if (imageUrl && !isValidImageInput(imageUrl)) {
+    throw badRequest('imageUrl must be an http(s) URL or data: URI');
+  }
+
+  return { aspectRatio: aspectRatio || null, imageUrl: imageUrl || null, duration: seconds, scenes, captions: validateCaptions(options.captions) };
+}
+
+/**
+ * Spread the total duration over the scenes as evenly as whole seconds allow
+ */
+function splitDuration(duration, count) {
+  const base = Math.floor(duration / count);
+  return Array.from({ length: count }, (_, i) => base + (i < duration % count ? 1 : 0));
+}
+
+/**
+ * Fallback scene split: consecutive runs of the script's sentences
+ */
+function splitScript(script, count) {
+  const sentences = script.trim().split(/(?<=[.!?])\s+/).filter(Boolean);
+  return Array.from({ length: count }, (_, i) => {
+    const start = Math.floor((i * sentences.length) / count);
+    const end = Math.max(start + 1, Math.floor(((i + 1) * sentences.length) / count));
+    return sentences.slice(start, end).join(' ');
+  });
+}
+
+/**
+ * Check LLM-written scene prompts against the content policy
+ * @returns {Promise<boolean>} False (and logged) when any scene is rejected
+ */
+async function scenesAllowed(prompts, client) {
+  for (const prompt of prompts) {
+    const verdict = await moderatePrompt(prompt);
+    if (!verdict.allowed) {
+      logRejection({
+        endpoint: '/generate-storyboard (scene)',
+        category: verdict.category,
+        reason: verdict.reason,
+        source: verdict.source,
+        client,
+        prompt: prompt.substring(0, 500)
+      });
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Ask the LLM to split a script into video scene prompts
+ * @returns {Promise<Array<string>>} Exactly `count` prompts, in order
+ */
+async function writeScenes(script, durations, client) {
+  const count = durations.length;
+  try {
+    const result = await callLlmStructured('storyboard-scenes', {
+      message: `Split this script into exactly ${count} consecutive scenes for an AI video model. Scene lengths in seconds: ${durations.join(', ')}.
+
+Script:
+${script}
+
+Each scene continues from the last frame of the previous one, so keep characters, setting and style consistent and describe only what happens next. Describe visuals, camera movement and mood; no scene numbers or on-screen text unless the script asks for it.
+
+Return ONLY JSON: { "scenes": [ { "prompt": "what happens in this scene (max 80 words)" } ] }`,
+      systemInstruction: 'You are a storyboard artist writing shot-by-shot prompts for a text-to-video model. Return only valid JSON.'
+    }, {
+      type: 'object',
+      properties: {
+        scenes: {
+          type: 'array',
+          minItems: count,
+          maxItems: count,
+          items: {
+            type: 'object',
+            properties: { prompt: { type: 'string', minLength: 1, maxLength: VIDEO_CAPABILITIES.maxPromptLength } },
+            required: ['prompt']
+          }
+        }
+      },
+      required: ['scenes']
+    });
+    const prompts = result.scenes.map(scene => scene.prompt.trim());
+
+    // The script passed moderation but the LLM's rewrite hasn't; fall back to the script's own words
+    if (await scenesAllowed(prompts, client)) return prompts;
+    console.warn('[Storyboard] Scene split fallback: generated scene rejected by content policy');
+    return splitScript(script, count);
+  } catch (e) {
+    console.warn('[Storyboard] Scene split fallback:', e.message);
+  }
+
+  return splitScript(script, count);
+}
+
+/**
+ * Generate a multi-scene video from a script, stitched into one MP4 on the CDN
+ * @param {string} script - What the video should show, start to finish
+ * @param {Object} [options]
+ * @param {string} [options.aspectRatio] - One of the video model's aspect ratios
+ * @param {string} [options.imageUrl] - Image URL or data: URI the first scene starts from
+ * @param {number} [options.duration=30] - Total length in seconds (10-60)
+ * @param {number} [options.scenes] - Number of scenes (default: one per 10 seconds)
+ * @param {string} [options.captions] - SRT or plain text burned into a captioned copy
+ * @param {Object} [options.client] - Caller identity for moderation logs ({ ip, userAgent })
+ * @param {boolean} [options.cache=true] - Reuse a cached result for an identical request
+ * @param {AbortSignal} [options.signal] - Aborting stops before the next scene (or kills ffmpeg)
+ * @param {Function} [options.onProgress] - Progress callback (percent, stage)
+ * @returns {Promise<Object>} { video_url, poster_url, preview_url, captioned_url, renditions, duration, model, prompt, scenes, metadata }
+ */
+async function generateStoryboard(script, options = {}) {
+  const { cache = true, client = { ip: 'internal', userAgent: null }, signal = null, onProgress = () => {} } = options;
+  const request = validateStoryboardRequest(script, options);
+
+  return withCache(
+    'storyboard',
+    { prompt: script, ...request },
+    (runSignal) => runStoryboard(script, { ...request, client, signal: runSignal, onProgress }),
+    { enabled: cache !== false, signal }
+  );
+}
+
+/**
+ * Write scenes, generate them one after another, stitch and upload (no cache)
+ */
+async function runStoryboard(script, options) {
+  const { aspectRatio, duration, captions, client, signal, onProgress } = options;
+  const durations = splitDuration(duration, options.scenes);
+  const checkCanceled = () => {
+    if (signal && signal.aborted) throw new Error('Storyboard canceled');
+  };
+
+  const workDir = await createWorkDir('storyboard');
+  try {
+    let startImage = await resolveImageInput(options.imageUrl, 'imageUrl');
+
+    onProgress(2, 'writing scenes');
+    const prompts = await writeScenes(script, durations, client);
+    console.log(`[Storyboard] ${prompts.length} scenes for ${duration}s (${durations.join('/')}s)`);
+
+    // Scenes run in order: each one starts from the previous scene's last frame
+    const span = 85 / prompts.length;
+    const scenes = [];
+    const clips = [];
+    for (let i = 0; i < prompts.length; i++) {
+      checkCanceled();
+      const stage = `scene ${i + 1}/${prompts.length}`;
+      const start = 5 + i * span;
+      onProgress(start, stage);
+
+      const rawVideoUrl = await generateGrokVideo(prompts[i], {
+        duration: durations[i],
+        aspectRatio,
+        imageUrl: startImage,
+        onProgress: (percent) => onProgress(start + (percent / 100) * span * 0.9, stage)
+      });
+      if (!rawVideoUrl) {
+        throw new Error(`Scene ${i + 1} completed but no URL was returned`);
+      }
+
+      const clipPath = await downloadVideo(rawVideoUrl, path.join(workDir, `scene-${i + 1}.mp4`));
+      clips.push(clipPath);
+      scenes.push({ index: i + 1, prompt: prompts[i], duration: durations[i], start_image: startImage });
+
+      if (i < prompts.length - 1) {
+        const frame = await extractLastFrame(clipPath, path.join(workDir, `scene-${i + 1}-last.png`));
+        startImage = await storeInputImage(frame, 'image/png');
+      }
+    }
+
+    checkCanceled();
+    onProgress(92, 'stitching');
+    const stitched = await concatVideos(clips, path.join(workDir, 'storyboard.mp4'), { signal });
+
+    onProgress(94, 'uploading');
+    const baseName = `storyboard-${uuidv4()}-${Date.now()}`;
+    const uploadResult = await uploadService.uploadBuffer(await fs.promises.readFile(stitched.path), 'generated', `${baseName}.mp4`, 'video/mp4');
+    console.log('[Storyboard] Uploaded to CDN:', uploadResult.url);
+
+    onProgress(96, 'renditions');
+    const renditions = await createVideoRenditions(stitched.path, 'generated', baseName, { captions, signal });
+
+    const provenance = buildProvenance({ model: VIDEO_CAPABILITIES.key, provider: VIDEO_CAPABILITIES.provider, prompt: script, type: 'video' });
+    recordProvenance([uploadResult.key, ...Object.values(renditions).map(r => r.key)], provenance);
+
+    return {
+      video_url: uploadResult.url,
+      poster_url: renditions.poster?.url || null,
+      preview_url: renditions.preview?.url || null,
+      captioned_url: renditions.captioned?.url || null,
+      renditions,
+      duration: Math.round(stitched.duration * 10) / 10,
+      model: VIDEO_CAPABILITIES.key,
+      prompt: script,
+      scenes,
+      metadata: {
+        aspect_ratio: aspectRatio || 'default',
+        image_url: options.imageUrl ? scenes[0].start_image : undefined,
+        requested_duration: duration,
+        scene_count: scenes.length,
+        width: stitched.width,
+        height: stitched.height,
+        has_audio: stitched.hasAudio,
+        generatedAt: new Date().toISOString(),
+        cdn_key: uploadResult.key,
+        provenance
+      }
+    };
+  } finally {
+    await removeWorkDir(workDir);
+  }
+}
+
+module.exports = {
+  generateStoryboard,
+  validateStoryboardRequest,
+  STORYBOARD_DURATIONS
+};
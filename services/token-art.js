@@ -0,0 +1,174 @@
+/**
+ * Token Art Service — Standalone for Xona Agent
+ * Generates art for a PumpFun token (logo refresh, meme, banner) from its
+ * on-chain metadata, using the existing icon as a reference image
+ * (when the preset's model supports references)
+ */
+const { callLlmStructured } = require('./llm');
+const { getToken } = require('./pumpfun');
+const { generateImage } = require('./image-gen');
+const { getModel } = require('./model-registry');
+const { renderPreset } = require('./presets');
+const { moderatePrompt, logRejection } = require('./moderation');
+const { badRequest } = require('./errors');
+
+/** Art variants, each rendered from a style preset */
+const TOKEN_ART_VARIANTS = {
+  logo: 'token-logo',
+  meme: 'meme',
+  banner: 'token-banner'
+};
+
+/** Solana mint addresses are 32-44 base58 characters */
+const CA_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+/**
+ * Ask the LLM for a meme scene and captions that fit the token
+ * @returns {Promise<Object>} { scene, top_text, bottom_text }
+ */
+async function writeMemeCaptions(token) {
+  const symbol = token.ticker || token.name;
+  try {
+    const result = await callLlmStructured('meme-captions', {
+      message: `Write a meme for the Solana token "${token.name}" ($${symbol}).
+Logo: ${token.icon_description || 'unknown'}
+Description: ${token.description || 'none'}
+24h change: ${token['24hpricechange'] ?? 'N/A'}%
+
+Return ONLY JSON: { "scene": "what the image shows, featuring the token mascot (max 30 words)", "top_text": "max 6 words", "bottom_text": "max 6 words" }`,
+      systemInstruction: 'You are a crypto-native meme writer. Funny, punchy, never hateful or financial advice. Return only valid JSON.'
+    }, {
+      type: 'object',
+      properties: {
+        scene: { type: 'string', minLength: 1 },
+        top_text: { type: 'string', maxLength: 60 },
+        bottom_text: { type: 'string', maxLength: 60 }
+      },
+      required: ['scene', 'top_text', 'bottom_text']
+    });
+    return { scene: result.scene, top_text: result.top_text, bottom_text: result.bottom_text };
+  } catch (e) {
+    console.warn('[TokenArt] Meme caption fallback:', e.message);
+  }
+
+  return {
+    scene: `The ${token.name} mascot${token.icon_description ? ` (${token.icon_description})` : ''} staring at a chart going vertical`,
+    top_text: `$${symbol} HOLDERS`,
+    bottom_text: 'WATCHING THE CHART'
+  };
+}
+
+/**
+ * Build preset variables for one variant from token data
+ */
+async function buildVariantVariables(variant, token) {
+  const symbol = token.ticker || token.name;
+  const iconHint = token.icon_description ? `Based on the current logo: ${token.icon_description.replace(/\.+$/, '')}` : null;
+
+  switch (variant) {
+    case 'logo':
+      return { name: token.name, symbol, concept: iconHint ? `A polished refresh of the current logo, keeping its identity. ${iconHint}` : undefined };
+    case 'banner':
+      return { name: token.name, symbol, concept: iconHint || undefined };
+    case 'meme':
+      return writeMemeCaptions(token);
+    default:
+      throw new Error(`Unknown variant: ${variant}`);
+  }
+}
+
+/**
+ * Generate art variants for a PumpFun token
+ * @param {string} ca - Token contract (mint) address
+ * @param {Object} [options]
+ * @param {Array<string>} [options.variants] - Variants to generate (default: logo, meme, banner)
+ * @param {Object} [options.client] - Caller identity for moderation logs ({ ip, userAgent })
+ * @param {AbortSignal} [options.signal] - Aborting cancels in-flight Replicate predictions
+ * @param {Function} [options.onProgress] - Progress callback (percent, stage)
+ * @returns {Promise<Object>} { token, variants: [{ variant, success, image_url, cdn_key, prompt, error }], metadata }
+ */
+async function generateTokenArt(ca, options = {}) {
+  const {
+    variants = Object.keys(TOKEN_ART_VARIANTS),
+    client = { ip: 'internal', userAgent: null },
+    signal = null,
+    onProgress = () => {}
+  } = options;
+
+  if (!ca || !CA_PATTERN.test(ca)) {
+    throw badRequest('Invalid token contract address');
+  }
+  const unknown = Array.isArray(variants) ? variants.filter(v => !TOKEN_ART_VARIANTS[v]) : [String(variants)];
+  if (variants.length === 0 || unknown.length > 0) {
+    throw badRequest(`Unknown variant: ${unknown.join(', ') || '(none)'}. Available: ${Object.keys(TOKEN_ART_VARIANTS).join(', ')}`);
+  }
+
+  onProgress(5, 'fetching token');
+  const token = await getToken(ca);
+  console.log(`[TokenArt] Generating ${variants.join(', ')} for $${token.ticker} (${ca})`);
+
+  onProgress(20, 'generating');
+  let finished = 0;
+  const results = await Promise.all(variants.map(async (variant) => {
+    let prompt = null;
+    try {
+      const rendered = renderPreset(TOKEN_ART_VARIANTS[variant], await buildVariantVariables(variant, token));
+      prompt = rendered.prompt;
+
+      // Token names and descriptions are user-supplied — same policy as the public endpoints
+      const verdict = await moderatePrompt(prompt);
+      if (!verdict.allowed) {
+        logRejection({
+          endpoint: `/pumpfun/token/${ca}/art (${variant})`,
+          category: verdict.category,
+          reason: verdict.reason,
+          source: verdict.source,
+          client,
+          prompt: prompt.substring(0, 500)
+        });
+        throw new Error('Prompt rejected by content policy');
+      }
+
+      const result = await generateImage(prompt, {
+        model: rendered.model,
+        aspectRatio: rendered.aspectRatio,
+        referenceImage: getModel(rendered.model).supportsReference ? (token.icon || rendered.referenceImage) : null,
+        signal
+      });
+
+      return { variant, success: true, image_url: result.image_url, cdn_key: result.metadata.cdn_key, prompt, error: null };
+    } catch (error) {
+      console.warn(`[TokenArt] ${variant} failed:`, error.message);
+      return { variant, success: false, image_url: null, cdn_key: null, prompt, error: error.message };
+    } finally {
+      finished++;
+      onProgress(20 + (finished / variants.length) * 75, 'generating');
+    }
+  }));
+
+  const succeeded = results.filter(r => r.success).length;
+  if (succeeded === 0) {
+    throw new Error(`All variants failed: ${results.map(r => `${r.variant}: ${r.error}`).join('; ')}`);
+  }
+
+  return {
+    token: {
+      name: token.name,
+      ticker: token.ticker,
+      ca: token.ca,
+      icon: token.icon,
+      icon_description: token.icon_description
+    },
+    variants: results,
+    metadata: {
+      succeeded,
+      failed: results.length - succeeded,
+      generatedAt: new Date().toISOString()
+    }
+  };
+}
+
+module.exports = {
+  generateTokenArt,
+  TOKEN_ART_VARIANTS
+};
@@ -24,6 +24,22 @@ class UploadService {
     });
   }
 
+  /**
+   * Hosts our uploads are served from: the CDN URL and the Spaces origin
+   * @returns {Array<string>} Lowercase hosts (with port, if any)
+   */
+  getPublicHosts() {
+    const hosts = [this.s3.endpoint.host && this.bucketName ? `${this.bucketName}.${this.s3.endpoint.host}` : null];
+    if (this.cdnUrl) {
+      try {
+        hosts.push(new URL(this.cdnUrl).host);
+      } catch (e) {
+        // Unparseable CDN URL: only the origin host matches
+      }
+    }
+    return hosts.filter(Boolean).map(host => host.toLowerCase());
+  }
+
   /**
    * Retry with exponential backoff
    */
@@ -63,10 +79,43 @@ class UploadService {
     }, 3, 1000);
   }
 
+  /**
+   * Decode a base64 data: URI into a buffer
+   * @returns {Object|null} { buffer, contentType } or null if not a base64 data URI
+   */
+  parseDataUri(dataUri) {
+    const match = /^data:([\w.+-]+\/[\w.+-]+)?(;[^,]*)?;base64,(.*)$/s.exec(dataUri || '');
+    if (!match) return null;
+    return {
+      buffer: Buffer.from(match[3], 'base64'),
+      contentType: match[1] || 'application/octet-stream'
+    };
+  }
+
   /**
    * Download image from URL and upload to CDN
+   * Base64 data: URIs (e.g. provider b64_json output) are uploaded without an HTTP round-trip.
    */
   async downloadAndUploadImage(imageUrl, folder = 'generated', filename = null) {
+    if (typeof imageUrl === 'string' && imageUrl.startsWith('data:')) {
+      const decoded = this.parseDataUri(imageUrl);
+      if (!decoded) {
+        return { success: false, message: 'Invalid data URI (expected base64)' };
+      }
+      try {
+        const ext = decoded.contentType.split('/')[1] || 'jpg';
+        return await this.uploadBuffer(
+          decoded.buffer,
+          folder,
+          filename || `${Date.now()}-${uuidv4()}.${ext}`,
+          decoded.contentType
+        );
+      } catch (error) {
+        console.error('[Upload] Image upload failed:', error.message);
+        return { success: false, message: error.message };
+      }
+    }
+
     try {
       return await this.retry(async () => {
         const response = await axios({
@@ -1,82 +1,313 @@
 /**
  * Video Generation Service — Standalone for Xona Agent
- * Uses Grok Video API for 10-second AI video generation
+ * Uses Grok Video API for AI video generation (10 seconds by default)
+ *
+ * Each video gets a poster frame and a looping preview for inline display,
+ * plus a captioned copy when captions are supplied.
  */
-const { generateGrokVideo } = require('./grok');
+const path = require('path');
+const { createGrokVideoRequest, pollGrokVideo } = require('./grok');
 const uploadService = require('./upload');
+const { JsonStore } = require('./store');
+const { withCache, buildCacheKey, storeCached } = require('./generation-cache');
+const { enhancePrompt } = require('./prompt-enhancer');
+const { resolveImageInput, isValidImageInput } = require('./media-input');
+const { buildProvenance, buildSourceLineage, recordProvenance } = require('./provenance');
+const { createWorkDir, removeWorkDir, downloadVideo, createVideoRenditions, MAX_CAPTIONS_LENGTH } = require('./video-processing');
+const { badRequest } = require('./errors');
 const { v4: uuidv4 } = require('uuid');
 
+/** What the Grok video model accepts, checked before a request is created */
+const VIDEO_CAPABILITIES = {
+  key: 'grok-imagine-video',
+  name: 'xAI Grok Imagine Video',
+  provider: 'xai',
+  aspectRatios: ['16:9', '9:16', '1:1', '4:3', '3:4', '3:2', '2:3'],
+  durations: { min: 1, max: 15, default: 10 },
+  supportsImageInput: true,
+  maxPromptLength: 5000
+};
+
+/** In-flight xAI video requests, keyed by request_id (survives restarts) */
+const pendingVideos = new JsonStore('pending-videos');
+
+/** Restarts a pending request is resumed through before it is dropped */
+const MAX_VIDEO_RESUMES = 3;
+
 /**
- * Generate video and upload to CDN
- * @param {string} prompt - Video prompt
- * @param {Object} options
- * @param {string} options.aspectRatio - Aspect ratio
- * @param {string} options.imageUrl - Input image for image-to-video (optional)
- * @returns {Promise<Object>} { video_url, duration, model, prompt, metadata }
+ * Download a finished video and upload it to our CDN
  */
-async function generateVideo(prompt, options = {}) {
-  const { aspectRatio, imageUrl } = options;
+async function uploadVideo(rawVideoUrl) {
+  const jobId = uuidv4();
+  const uploadResult = await uploadService.downloadAndUploadVideo(
+    rawVideoUrl,
+    'generated',
+    `grok-video-${jobId}-${Date.now()}.mp4`
+  );
 
-  if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
-    throw new Error('Prompt is required');
+  if (!uploadResult.success) {
+    throw new Error('Failed to upload video to CDN: ' + uploadResult.message);
   }
-  if (prompt.length > 5000) {
-    throw new Error('Prompt must be 5000 characters or less');
+
+  console.log('[VideoGen] Uploaded to CDN:', uploadResult.url);
+  return uploadResult;
+}
+
+/**
+ * Render and upload renditions for an uploaded video (poster, preview, captioned)
+ * Best-effort: the video itself is already on the CDN, so failures only log.
+ * @returns {Promise<Object>} Renditions keyed by name (empty on failure)
+ */
+async function addVideoRenditions(uploadResult, options = {}) {
+  const workDir = await createWorkDir('video');
+  try {
+    const filePath = await downloadVideo(uploadResult.url, path.join(workDir, 'video.mp4'));
+    const baseName = path.posix.basename(uploadResult.key).replace(/\.[^.]+$/, '');
+    return await createVideoRenditions(filePath, path.posix.dirname(uploadResult.key), baseName, options);
+  } catch (error) {
+    console.warn('[VideoGen] Video renditions failed:', error.message);
+    return {};
+  } finally {
+    await removeWorkDir(workDir);
   }
+}
 
-  // Validate image URL if provided
-  let validImage = null;
-  if (imageUrl && typeof imageUrl === 'string') {
-    if (imageUrl.startsWith('http://') || imageUrl.startsWith('https://')) {
-      validImage = imageUrl;
-    }
+/**
+ * Caption text check shared with storyboards (400 if unusable)
+ */
+function validateCaptions(captions) {
+  if (captions === null || captions === undefined || captions === '') return null;
+  if (typeof captions !== 'string' || captions.trim().length === 0) {
+    throw badRequest('captions must be SRT or plain text');
+  }
+  if (captions.length > MAX_CAPTIONS_LENGTH) {
+    throw badRequest(`captions must be ${MAX_CAPTIONS_LENGTH} characters or less`);
   }
+  return captions;
+}
 
-  console.log('[VideoGen] Generating video...');
-  console.log('[VideoGen] Prompt:', prompt.substring(0, 100));
-  console.log('[VideoGen] Has input image:', !!validImage);
+/**
+ * Poll a persisted request to completion and upload it
+ * The record is dropped once the video is on the CDN, or when xAI reports the
+ * request failed; timeouts and upload errors keep it for the next resume.
+ * @param {Object} record - Pending video record
+ * @param {Function} [onProgress] - Progress callback (percent, stage)
+ * @param {Object} [options]
+ * @param {boolean} [options.resumed=false] - Resumed after a restart: the deadline starts now
+ */
+async function finishPendingVideo(record, onProgress = () => {}, options = {}) {
+  const { resumed = false } = options;
 
-  // Generate video via Grok
-  const rawVideoUrl = await generateGrokVideo(prompt, {
-    duration: 10,
-    aspectRatio,
-    imageUrl: validImage
-  });
+  let rawVideoUrl;
+  try {
+    rawVideoUrl = await pollGrokVideo(record.requestId, {
+      createdAt: resumed ? Date.now() : record.createdAt,
+      onProgress: (percent) => onProgress(Math.round(percent * 0.85), 'generating')
+    });
+  } catch (error) {
+    if (error.providerStatus) pendingVideos.delete(record.requestId);
+    throw error;
+  }
 
   if (!rawVideoUrl) {
+    pendingVideos.delete(record.requestId);
     throw new Error('Video generation completed but no URL was returned');
   }
 
   console.log('[VideoGen] Raw video URL received');
 
-  // Download and upload to CDN
-  const jobId = uuidv4();
-  const uploadResult = await uploadService.downloadAndUploadVideo(
-    rawVideoUrl,
-    'generated',
-    `grok-video-${jobId}-${Date.now()}.mp4`
-  );
+  onProgress(90, 'uploading');
+  const uploadResult = await uploadVideo(rawVideoUrl);
+  pendingVideos.delete(record.requestId);
+  return uploadResult;
+}
 
-  if (!uploadResult.success) {
-    throw new Error('Failed to upload video to CDN: ' + uploadResult.message);
-  }
+/**
+ * Add renditions and provenance to an uploaded video and build the API result
+ * @param {Object} record - Pending video record the video was generated from
+ * @param {Object} uploadResult - CDN upload of the video
+ */
+async function buildVideoResult(record, uploadResult) {
+  const { prompt, captions = null, enhancement = null } = record;
+  const { duration, aspectRatio, imageUrl: validImage } = record.options;
 
-  console.log('[VideoGen] Uploaded to CDN:', uploadResult.url);
+  const renditions = await addVideoRenditions(uploadResult, { captions });
+
+  // Videos aren't rewritten, so provenance lives only in the store; image-to-video links its source frame
+  const source = validImage ? buildSourceLineage(validImage) : null;
+  const provenance = buildProvenance({ model: VIDEO_CAPABILITIES.key, provider: VIDEO_CAPABILITIES.provider, prompt, type: 'video', source });
+  recordProvenance([uploadResult.key, ...Object.values(renditions).map(r => r.key)], provenance);
 
   return {
     video_url: uploadResult.url,
-    duration: 10,
-    model: 'grok-imagine-video',
+    poster_url: renditions.poster?.url || null,
+    preview_url: renditions.preview?.url || null,
+    captioned_url: renditions.captioned?.url || null,
+    renditions,
+    duration,
+    model: VIDEO_CAPABILITIES.key,
     prompt,
     metadata: {
       aspect_ratio: aspectRatio || 'default',
       image_url: validImage || undefined,
+      ...(source && { source }),
       generatedAt: new Date().toISOString(),
-      cdn_key: uploadResult.key
+      cdn_key: uploadResult.key,
+      provenance,
+      ...(enhancement && {
+        original_prompt: enhancement.original_prompt,
+        enhanced_prompt: enhancement.enhanced ? enhancement.prompt : null
+      })
     }
   };
 }
 
+/**
+ * Check a video request against the model's capabilities (400 on anything unsupported)
+ * @returns {Object} { aspectRatio, imageUrl, duration, captions } with defaults filled in
+ */
+function validateVideoRequest(prompt, options = {}) {
+  const { aspectRatio = null, imageUrl = null, duration = VIDEO_CAPABILITIES.durations.default } = options;
+  const { min, max } = VIDEO_CAPABILITIES.durations;
+
+  if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
+    throw badRequest('Prompt is required');
+  }
+  if (prompt.length > VIDEO_CAPABILITIES.maxPromptLength) {
+    throw badRequest(`Prompt must be ${VIDEO_CAPABILITIES.maxPromptLength} characters or less`);
+  }
+  if (aspectRatio && !VIDEO_CAPABILITIES.aspectRatios.includes(aspectRatio)) {
+    throw badRequest(`Unsupported video aspect ratio ${aspectRatio}. Supported: ${VIDEO_CAPABILITIES.aspectRatios.join(', ')}`);
+  }
+  const seconds = Number(duration);
+  if (!Number.isInteger(seconds) || seconds < min || seconds > max) {
+    throw badRequest(`duration must be a whole number of seconds from ${min} to ${max}`);
+  }
+
+  // Validate input image if provided (URL or data: URI — never silently dropped)
+  if (imageUrl && !isValidImageInput(imageUrl)) {
+    throw badRequest('imageUrl must be an http(s) URL or data: URI');
+  }
+
+  return { aspectRatio: aspectRatio || null, imageUrl: imageUrl || null, duration: seconds, captions: validateCaptions(options.captions) };
+}
+
+/**
+ * Generate video and upload to CDN
+ * @param {string} prompt - Video prompt
+ * @param {Object} options
+ * @param {string} options.aspectRatio - One of VIDEO_CAPABILITIES.aspectRatios (optional)
+ * @param {string} options.imageUrl - Input image URL or base64 data: URI for image-to-video (optional)
+ * @param {number} options.duration - Length in seconds, 1-15 (default: 10)
+ * @param {string} options.captions - SRT or plain text burned into a captioned copy (optional)
+ * @param {boolean} options.enhance - Rewrite the prompt for Grok Video via Grok first (default: false)
+ * @param {Object} options.client - Caller identity for moderation logs of the rewritten prompt (optional)
+ * @param {boolean} options.cache - Reuse a cached result for an identical request (default: true)
+ * @param {Function} options.onProgress - Progress callback (percent, stage) (optional)
+ * @returns {Promise<Object>} { video_url, poster_url, preview_url, captioned_url, renditions, duration, model, prompt, metadata }
+ */
+async function generateVideo(prompt, options = {}) {
+  const { enhance = false, cache = true, client, onProgress = () => {} } = options;
+  const { aspectRatio, imageUrl, duration, captions } = validateVideoRequest(prompt, options);
+  const cacheParams = { prompt, aspectRatio, imageUrl, duration, ...(captions && { captions }), ...(enhance && { enhance: true }) };
+
+  // The key is saved with the pending request so a video recovered after a restart lands in the cache
+  const cacheKey = cache !== false ? buildCacheKey('video', cacheParams) : null;
+
+  return withCache(
+    'video',
+    cacheParams,
+    () => runVideoGeneration(prompt, { aspectRatio, imageUrl, duration, captions, enhance, client, cacheKey, onProgress }),
+    { enabled: cache !== false }
+  );
+}
+
+/**
+ * Create, persist, poll and upload a Grok video (no cache)
+ */
+async function runVideoGeneration(prompt, options) {
+  const { aspectRatio, duration, captions, enhance, client, onProgress } = options;
+
+  // data: URIs are stored under inputs/ so xAI gets a fetchable URL
+  const validImage = await resolveImageInput(options.imageUrl, 'imageUrl');
+
+  let enhancement = null;
+  if (enhance) {
+    onProgress(2, 'enhancing');
+    enhancement = await enhancePrompt(prompt, { type: 'video', client });
+  }
+  const providerPrompt = enhancement ? enhancement.prompt : prompt;
+
+  console.log('[VideoGen] Generating video...');
+  console.log('[VideoGen] Prompt:', providerPrompt.substring(0, 100));
+  console.log('[VideoGen] Has input image:', !!validImage);
+
+  // Create the xAI request and persist its id before polling, so a restart can resume it
+  const videoOptions = { duration, aspectRatio, imageUrl: validImage };
+  const requestId = await createGrokVideoRequest(providerPrompt, videoOptions);
+  const record = pendingVideos.set(requestId, {
+    requestId,
+    prompt,
+    providerPrompt,
+    options: videoOptions,
+    captions: captions || null,
+    enhancement,
+    cacheKey: options.cacheKey || null,
+    createdAt: Date.now()
+  });
+
+  const uploadResult = await finishPendingVideo(record, onProgress);
+
+  onProgress(95, 'renditions');
+  return buildVideoResult(record, uploadResult);
+}
+
+/**
+ * Get available video models and their capabilities
+ */
+function getVideoModels() {
+  return [VIDEO_CAPABILITIES];
+}
+
+/**
+ * Resume video requests left in flight by a previous process
+ * Each one is polled (at least once, with a fresh deadline) and finished
+ * through the normal CDN upload, renditions and provenance. The result is
+ * cached under the original request's key, so repeating that request returns
+ * the recovered video instead of generating a new one.
+ */
+function resumePendingVideos() {
+  const records = pendingVideos.values();
+  if (records.length === 0) return;
+
+  console.log(`[VideoGen] Resuming ${records.length} in-flight video generation(s)...`);
+
+  for (const pending of records) {
+    if ((pending.resumes || 0) >= MAX_VIDEO_RESUMES) {
+      console.warn(`[VideoGen] Giving up on ${pending.requestId} after ${MAX_VIDEO_RESUMES} resumes`);
+      pendingVideos.delete(pending.requestId);
+      continue;
+    }
+    const record = pendingVideos.set(pending.requestId, { ...pending, resumes: (pending.resumes || 0) + 1 });
+
+    finishPendingVideo(record, undefined, { resumed: true })
+      .then(uploadResult => buildVideoResult(record, uploadResult))
+      .then(result => {
+        if (record.cacheKey) storeCached(record.cacheKey, result);
+        console.log(`[VideoGen] Recovered ${record.requestId} → ${result.video_url} (prompt: "${record.prompt.substring(0, 60)}")`);
+      })
+      .catch(error => {
+        console.error(`[VideoGen] Could not recover ${record.requestId}:`, error.message);
+      });
+  }
+}
+
 module.exports = {
-  generateVideo
+  generateVideo,
+  validateVideoRequest,
+  getVideoModels,
+  resumePendingVideos,
+  addVideoRenditions,
+  validateCaptions,
+  VIDEO_CAPABILITIES
 };
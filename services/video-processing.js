@@ -0,0 +1,321 @@
+/**
+ * Video Processing Service — Standalone for Xona Agent
+ * Local ffmpeg helpers for generated videos: probing, last-frame extraction,
+ * stitching clips into one MP4, and the renditions uploaded next to a video
+ * (poster frame, looping preview, burned-in captions)
+ *
+ * Needs ffmpeg and ffprobe (installed in the Docker image); point FFMPEG_PATH /
+ * FFPROBE_PATH at them if they are not on the PATH. Work happens in a temp
+ * directory per call site, removed afterwards.
+ */
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const uploadService = require('./upload');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+
+/** Encoding for stitched output: H.264 + AAC, moov atom up front for streaming */
+const OUTPUT_FPS = 24;
+const AUDIO_SAMPLE_RATE = 44100;
+const VIDEO_CODEC_ARGS = ['-c:v', 'libx264', '-preset', 'veryfast', '-crf', '20', '-pix_fmt', 'yuv420p'];
+const AUDIO_CODEC_ARGS = ['-c:a', 'aac', '-b:a', '160k'];
+
+/** Animated preview format: 'webp' (smaller) or 'gif' (plays everywhere) */
+const PREVIEW_FORMAT = process.env.VIDEO_PREVIEW_FORMAT === 'gif' ? 'gif' : 'webp';
+
+/**
+ * Video renditions, uploaded next to the video as `${baseName}-${suffix}.${ext}`
+ *   - poster:    still frame for inline display (taken at 1s to skip fade-ins)
+ *   - preview:   short silent loop for posts that can't embed video
+ *   - captioned: the full video with captions burned in (only when captions are given)
+ */
+const VIDEO_RENDITIONS = {
+  poster: { suffix: 'poster', ext: 'jpg', contentType: 'image/jpeg', atSeconds: 1 },
+  preview: { suffix: 'preview', ext: PREVIEW_FORMAT, contentType: `image/${PREVIEW_FORMAT}`, seconds: 3, width: 480, fps: 12 },
+  captioned: { suffix: 'captioned', ext: 'mp4', contentType: 'video/mp4' }
+};
+
+/** Longest caption text (SRT or plain) accepted per video */
+const MAX_CAPTIONS_LENGTH = 5000;
+
+/**
+ * Run an ffmpeg/ffprobe binary and resolve with its stdout
+ * Failures carry the last lines of stderr, which is where ffmpeg explains itself.
+ */
+function run(binary, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    execFile(binary, args, { maxBuffer: 16 * 1024 * 1024, signal: options.signal || undefined }, (error, stdout, stderr) => {
+      if (!error) return resolve(stdout);
+      if (error.name === 'AbortError') return reject(error);
+      if (error.code === 'ENOENT') {
+        return reject(new Error(`${binary} not found — install ffmpeg or set FFMPEG_PATH / FFPROBE_PATH`));
+      }
+      const detail = String(stderr || '').trim().split('\n').slice(-3).join(' | ');
+      reject(new Error(`${path.basename(binary)} failed: ${detail || error.message}`));
+    });
+  });
+}
+
+/**
+ * Create a scratch directory (remove it with removeWorkDir)
+ * @param {string} label - Included in the directory name
+ */
+function createWorkDir(label) {
+  return fs.promises.mkdtemp(path.join(os.tmpdir(), `xona-${label}-`));
+}
+
+/**
+ * Remove a scratch directory and everything in it (never throws)
+ */
+async function removeWorkDir(dir) {
+  try {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  } catch (error) {
+    console.warn('[VideoProcessing] Could not remove work dir:', error.message);
+  }
+}
+
+/**
+ * Download a video to a local file
+ * @returns {Promise<string>} filePath
+ */
+async function downloadVideo(url, filePath) {
+  const data = await uploadService.retry(async () => {
+    const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 120000 });
+    return Buffer.from(response.data);
+  }, 3, 1000);
+  await fs.promises.writeFile(filePath, data);
+  return filePath;
+}
+
+/**
+ * Read duration, dimensions and whether a video has an audio track
+ * @returns {Promise<Object>} { duration, width, height, hasAudio }
+ */
+async function probeVideo(filePath) {
+  const stdout = await run(FFPROBE_PATH, ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath]);
+  const info = JSON.parse(stdout);
+  const video = (info.streams || []).find(s => s.codec_type === 'video');
+  if (!video) {
+    throw new Error(`No video stream in ${path.basename(filePath)}`);
+  }
+
+  return {
+    duration: Number(info.format?.duration) || Number(video.duration) || 0,
+    width: video.width,
+    height: video.height,
+    hasAudio: (info.streams || []).some(s => s.codec_type === 'audio')
+  };
+}
+
+/**
+ * Extract the final frame of a video as PNG
+ * @returns {Promise<Buffer>} PNG bytes
+ */
+async function extractLastFrame(filePath, outPath) {
+  // Seek into the last second and keep overwriting the output — the last write wins
+  await run(FFMPEG_PATH, ['-v', 'error', '-sseof', '-1', '-i', filePath, '-update', '1', '-y', outPath]);
+  return fs.promises.readFile(outPath);
+}
+
+/**
+ * Render the poster frame as JPEG
+ */
+async function renderPoster(filePath, outPath, probe) {
+  const spec = VIDEO_RENDITIONS.poster;
+  const at = Math.min(spec.atSeconds, probe.duration / 2);
+  await run(FFMPEG_PATH, ['-v', 'error', '-ss', String(at), '-i', filePath, '-frames:v', '1', '-q:v', '2', '-y', outPath]);
+  return { width: probe.width, height: probe.height };
+}
+
+/**
+ * Render the looping preview (animated WebP or GIF) from the start of the video
+ */
+async function renderPreview(filePath, outPath, probe) {
+  const spec = VIDEO_RENDITIONS.preview;
+  const width = Math.min(spec.width, probe.width);
+  const height = Math.round((probe.height * width) / probe.width / 2) * 2;
+  const base = `fps=${spec.fps},scale=${width}:${height}:flags=lanczos`;
+
+  // GIFs need a per-clip palette to not look posterized
+  const encode = PREVIEW_FORMAT === 'gif'
+    ? ['-vf', `${base},split[a][b];[a]palettegen[p];[b][p]paletteuse`]
+    : ['-vf', base, '-c:v', 'libwebp', '-quality', '70', '-compression_level', '4'];
+
+  await run(FFMPEG_PATH, ['-v', 'error', '-t', String(spec.seconds), '-i', filePath, ...encode, '-loop', '0', '-an', '-y', outPath]);
+  return { width, height };
+}
+
+/**
+ * Whether caption text is already SRT (has cue timings)
+ */
+function isSrt(text) {
+  return /\d{1,2}:\d{2}:\d{2}[,.]\d{1,3}\s*-->/.test(text);
+}
+
+/**
+ * SRT timestamp (HH:MM:SS,mmm)
+ */
+function formatSrtTime(seconds) {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const pad = (n, size = 2) => String(n).padStart(size, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)},${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * Turn captions into SRT: SRT passes through, plain text is split into
+ * lines (or sentences) shown one after another across the whole video
+ * @param {string} captions - SRT or plain text
+ * @param {number} duration - Video length in seconds
+ */
+function buildSrt(captions, duration) {
+  if (isSrt(captions)) return captions;
+
+  const lines = captions.includes('\n')
+    ? captions.split('\n').map(line => line.trim()).filter(Boolean)
+    : captions.trim().split(/(?<=[.!?])\s+/).filter(Boolean);
+  const slot = duration / lines.length;
+
+  return lines.map((line, i) => `${i + 1}\n${formatSrtTime(i * slot)} --> ${formatSrtTime((i + 1) * slot)}\n${line}\n`).join('\n');
+}
+
+/**
+ * Render a copy of the video with captions burned in (audio kept as-is)
+ */
+async function renderCaptioned(filePath, outPath, probe, captions, signal) {
+  const srtPath = outPath.replace(/\.mp4$/, '.srt');
+  await fs.promises.writeFile(srtPath, buildSrt(captions, probe.duration));
+
+  // Bottom-centred white text with an outline, sized to the video height
+  const fontSize = Math.max(14, Math.round(probe.height / 24));
+  const style = `FontName=DejaVu Sans,FontSize=${fontSize},PrimaryColour=&H00FFFFFF,OutlineColour=&H00000000,BorderStyle=1,Outline=2,Shadow=0,MarginV=${Math.round(fontSize * 1.2)}`;
+  const filter = `scale=trunc(iw/2)*2:trunc(ih/2)*2,subtitles=filename='${srtPath}':original_size=${probe.width}x${probe.height}:force_style='${style}'`;
+
+  await run(FFMPEG_PATH, ['-v', 'error', '-i', filePath, '-vf', filter, ...VIDEO_CODEC_ARGS, '-c:a', 'copy', '-movflags', '+faststart', '-y', outPath], { signal });
+  return { width: probe.width, height: probe.height };
+}
+
+/**
+ * Render and upload a video's renditions (poster, preview, optional captioned copy)
+ * Renditions are best-effort: one failing is logged and left out.
+ * @param {string} filePath - Local copy of the video
+ * @param {string} folder - CDN folder (e.g. 'generated')
+ * @param {string} baseName - The video's file name without extension
+ * @param {Object} [options]
+ * @param {string} [options.captions] - SRT or plain text to burn in
+ * @param {AbortSignal} [options.signal] - Aborting kills the caption render
+ * @returns {Promise<Object>} { poster, preview, captioned } — each { url, key, contentType, width, height, bytes }
+ */
+async function createVideoRenditions(filePath, folder, baseName, options = {}) {
+  const { captions = null, signal = null } = options;
+  const probe = await probeVideo(filePath);
+  const workDir = await createWorkDir('renditions');
+
+  const renderers = {
+    poster: (outPath) => renderPoster(filePath, outPath, probe),
+    preview: (outPath) => renderPreview(filePath, outPath, probe),
+    ...(captions && { captioned: (outPath) => renderCaptioned(filePath, outPath, probe, captions, signal) })
+  };
+
+  const renditions = {};
+  try {
+    // One at a time — ffmpeg already uses every core
+    for (const [name, render] of Object.entries(renderers)) {
+      const spec = VIDEO_RENDITIONS[name];
+      try {
+        const outPath = path.join(workDir, `${spec.suffix}.${spec.ext}`);
+        const { width, height } = await render(outPath);
+        const buffer = await fs.promises.readFile(outPath);
+        const result = await uploadService.uploadBuffer(buffer, folder, `${baseName}-${spec.suffix}.${spec.ext}`, spec.contentType);
+        renditions[name] = { url: result.url, key: result.key, contentType: spec.contentType, width, height, bytes: buffer.length };
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        console.warn(`[VideoProcessing] ${name} rendition failed:`, error.message);
+      }
+    }
+  } finally {
+    await removeWorkDir(workDir);
+  }
+
+  console.log(`[VideoProcessing] Uploaded ${Object.keys(renditions).join(', ') || 'no'} renditions for ${baseName}`);
+  return renditions;
+}
+
+/**
+ * Stitch clips into one MP4, in order
+ * Clips are scaled and padded to the first clip's size and re-encoded, so
+ * mismatched resolutions or frame rates still join cleanly. Clips without
+ * audio get silence when any other clip has sound.
+ * @param {Array<string>} inputs - Clip file paths
+ * @param {string} outPath - Output .mp4 path
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborting kills ffmpeg
+ * @returns {Promise<Object>} { path, duration, width, height, hasAudio }
+ */
+async function concatVideos(inputs, outPath, options = {}) {
+  if (inputs.length === 0) {
+    throw new Error('No clips to stitch');
+  }
+
+  const probes = [];
+  for (const input of inputs) {
+    probes.push(await probeVideo(input));
+  }
+
+  // libx264 needs even dimensions
+  const width = probes[0].width - (probes[0].width % 2);
+  const height = probes[0].height - (probes[0].height % 2);
+  const withAudio = probes.some(p => p.hasAudio);
+
+  const args = ['-v', 'error'];
+  for (const input of inputs) {
+    args.push('-i', input);
+  }
+
+  const filters = [];
+  const segments = [];
+  let silentInputs = 0;
+  probes.forEach((probe, i) => {
+    filters.push(`[${i}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${OUTPUT_FPS},format=yuv420p[v${i}]`);
+    segments.push(`[v${i}]`);
+    if (!withAudio) return;
+
+    let audioSource = `${i}:a`;
+    if (!probe.hasAudio) {
+      audioSource = `${inputs.length + silentInputs}:a`;
+      silentInputs++;
+      args.push('-f', 'lavfi', '-t', String(probe.duration), '-i', `anullsrc=r=${AUDIO_SAMPLE_RATE}:cl=stereo`);
+    }
+    filters.push(`[${audioSource}]aresample=${AUDIO_SAMPLE_RATE},aformat=sample_fmts=fltp:channel_layouts=stereo[a${i}]`);
+    segments.push(`[a${i}]`);
+  });
+  filters.push(`${segments.join('')}concat=n=${inputs.length}:v=1:a=${withAudio ? 1 : 0}[v]${withAudio ? '[a]' : ''}`);
+
+  args.push('-filter_complex', filters.join(';'), '-map', '[v]');
+  if (withAudio) args.push('-map', '[a]', ...AUDIO_CODEC_ARGS);
+  args.push(...VIDEO_CODEC_ARGS, '-movflags', '+faststart', '-y', outPath);
+
+  console.log(`[VideoProcessing] Stitching ${inputs.length} clips at ${width}x${height}${withAudio ? ' with audio' : ''}...`);
+  await run(FFMPEG_PATH, args, { signal: options.signal });
+
+  const result = await probeVideo(outPath);
+  console.log(`[VideoProcessing] Stitched ${result.duration.toFixed(1)}s video`);
+  return { path: outPath, ...result };
+}
+
+module.exports = {
+  createWorkDir,
+  removeWorkDir,
+  downloadVideo,
+  probeVideo,
+  extractLastFrame,
+  concatVideos,
+  createVideoRenditions,
+  buildSrt,
+  VIDEO_RENDITIONS,
+  MAX_CAPTIONS_LENGTH
+};